@@ -0,0 +1,26 @@
+const unique = (paths) => Array.from(new Set(paths)).sort();
+
+/*
+  Collapses CloudFront invalidation paths into directory wildcards, deepest directories
+  first, until no more than `maxPaths` remain. Falls back to a single `/*`.
+*/
+function collapsePaths(paths, maxPaths) {
+  let collapsed = unique(paths);
+  let depth = collapsed.reduce((max, p) => Math.max(max, p.split('/').filter(Boolean).length), 0) - 1;
+
+  while (collapsed.length > maxPaths && depth > 0) {
+    const currentDepth = depth;
+    collapsed = unique(collapsed.map((p) => {
+      const segments = p.split('/').filter(Boolean);
+      if (segments.length <= currentDepth) {
+        return p;
+      }
+      return `/${segments.slice(0, currentDepth).join('/')}/*`;
+    }));
+    depth -= 1;
+  }
+
+  return collapsed.length > maxPaths ? ['/*'] : collapsed;
+}
+
+module.exports = collapsePaths;
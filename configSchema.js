@@ -0,0 +1,312 @@
+const stringsSchema = {
+  anyOf: [
+    { type: 'string' },
+    { type: 'array', items: { type: 'string' } }
+  ]
+};
+
+const paramsSchema = {
+  type: 'array',
+  items: {
+    // each rule is a single `glob: { S3 params }` pair
+    type: 'object',
+    minProperties: 1,
+    additionalProperties: {
+      type: 'object',
+      properties: {
+        // the rule only applies when every condition holds
+        when: {
+          type: 'object',
+          properties: {
+            stage: stringsSchema,
+            region: stringsSchema,
+            params: {
+              type: 'object',
+              additionalProperties: {
+                anyOf: [
+                  { type: 'string' },
+                  { type: 'number' },
+                  { type: 'boolean' },
+                  { type: 'array', items: { anyOf: [{ type: 'string' }, { type: 'number' }, { type: 'boolean' }] } }
+                ]
+              }
+            }
+          },
+          additionalProperties: false
+        },
+        OnlyForEnv: { type: 'string' }
+      }
+    }
+  }
+};
+
+const stackOutputSchema = {
+  // an output of another stack, possibly in another region
+  type: 'object',
+  properties: {
+    key: { type: 'string' },
+    stack: { type: 'string' },
+    region: { type: 'string' }
+  },
+  required: ['key'],
+  additionalProperties: false
+};
+
+const outputRefSchema = {
+  // an output key of this stack, or an output of another stack
+  anyOf: [
+    { type: 'string' },
+    stackOutputSchema
+  ]
+};
+
+const cloudFrontSchema = {
+  type: 'object',
+  properties: {
+    distributionId: { type: 'string' },
+    distributionIdKey: outputRefSchema,
+    originPath: { type: 'string' },
+    maxPaths: { type: 'integer', minimum: 1 },
+    waitForCompletion: { type: 'boolean' }
+  },
+  anyOf: [
+    { required: ['distributionId'] },
+    { required: ['distributionIdKey'] }
+  ],
+  additionalProperties: false
+};
+
+const releasesSchema = {
+  type: 'object',
+  properties: {
+    prefix: { type: 'string' },
+    keep: { type: 'integer', minimum: 1 },
+    activate: { enum: ['copy', 'pointer'] },
+    pointerKey: { type: 'string' }
+  },
+  additionalProperties: false
+};
+
+const compressSchema = {
+  type: 'object',
+  properties: {
+    gzip: {
+      type: 'array',
+      items: { type: 'string' }
+    },
+    brotli: {
+      type: 'array',
+      items: { type: 'string' }
+    },
+    // the ranges zlib accepts
+    level: { type: 'integer', minimum: 1, maximum: 9 },
+    brotliQuality: { type: 'integer', minimum: 0, maximum: 11 }
+  },
+  additionalProperties: false
+};
+
+const sourceSchema = {
+  type: 'object',
+  properties: {
+    bucketName: { type: 'string' },
+    bucketNameKey: outputRefSchema,
+    bucketPrefix: { type: 'string' },
+    stage: { type: 'string' },
+    stackName: { type: 'string' }
+  },
+  additionalProperties: false
+};
+
+const generatedFilesSchema = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      key: { type: 'string' },
+      format: { enum: ['json', 'js'] },
+      globalName: { type: 'string' },
+      values: {
+        type: 'object',
+        additionalProperties: {
+          anyOf: [
+            { type: 'string' },
+            { type: 'number' },
+            { type: 'boolean' },
+            // strings are literals, stack outputs are always given as an object
+            stackOutputSchema
+          ]
+        }
+      },
+      params: { type: 'object' }
+    },
+    required: ['key'],
+    additionalProperties: false
+  }
+};
+
+const sourcesSchema = {
+  type: 'array',
+  items: {
+    // the files of a directory, or of a glob relative to the service, merged under `prefix`
+    type: 'object',
+    properties: {
+      localDir: { type: 'string' },
+      glob: { type: 'string' },
+      prefix: { type: 'string' },
+      rename: {
+        type: 'object',
+        properties: {
+          from: { type: 'string' },
+          to: { type: 'string' }
+        },
+        required: ['from', 'to'],
+        additionalProperties: false
+      }
+    },
+    anyOf: [
+      { required: ['localDir'] },
+      { required: ['glob'] }
+    ],
+    additionalProperties: false
+  }
+};
+
+const bucketSchema = {
+  type: 'object',
+  properties: {
+    // selects the entry with --only and --skip
+    name: { type: 'string' },
+    labels: {
+      type: 'array',
+      items: { type: 'string' }
+    },
+    bucketName: { type: 'string' },
+    bucketNameKey: outputRefSchema,
+    bucketPrefix: { type: 'string' },
+    localDir: { type: 'string' },
+    sources: sourcesSchema,
+    deleteRemoved: { type: 'boolean' },
+    preserve: {
+      type: 'array',
+      items: { type: 'string' }
+    },
+    purgeVersions: { type: 'boolean' },
+    maxDeletes: {
+      anyOf: [
+        { type: 'integer', minimum: 0 },
+        { type: 'string', pattern: '^\\d+(\\.\\d+)?%$' }
+      ]
+    },
+    acl: { type: 'string' },
+    followSymlinks: { type: 'boolean' },
+    defaultContentType: { type: 'string' },
+    params: paramsSchema,
+    generatedFiles: generatedFilesSchema,
+    cleanUrls: {
+      anyOf: [
+        { type: 'boolean' },
+        {
+          type: 'object',
+          properties: {
+            indexes: { enum: ['trailingSlash', 'noTrailingSlash'] }
+          },
+          additionalProperties: false
+        }
+      ]
+    },
+    objectTags: {
+      type: 'array',
+      items: {
+        // each rule is a single `glob: { tag: value }` pair
+        type: 'object',
+        minProperties: 1,
+        additionalProperties: {
+          type: 'object',
+          additionalProperties: { anyOf: [{ type: 'string' }, { type: 'number' }, { type: 'boolean' }] }
+        }
+      }
+    },
+    bucketTags: {
+      type: 'object',
+      additionalProperties: { type: 'string' }
+    },
+    enabled: { type: 'boolean' },
+    preCommand: { type: 'string' },
+    postCommand: { type: 'string' },
+    cloudFront: cloudFrontSchema,
+    releases: releasesSchema,
+    uploadOrder: {
+      type: 'array',
+      items: { type: 'string' }
+    },
+    deleteDelay: { type: 'integer', minimum: 0 },
+    deleteKeepReleases: { type: 'integer', minimum: 1 },
+    include: {
+      type: 'array',
+      items: { type: 'string' }
+    },
+    exclude: {
+      type: 'array',
+      items: { type: 'string' }
+    },
+    ignoreFile: { anyOf: [{ type: 'boolean' }, { type: 'string' }] },
+    compress: compressSchema,
+    source: sourceSchema,
+    maxAsyncS3: { type: 'integer', minimum: 1 },
+    retries: { type: 'integer', minimum: 0 },
+    retryDelay: { type: 'integer', minimum: 0 },
+    region: { type: 'string' },
+    profile: { type: 'string' },
+    roleArn: { type: 'string' },
+    externalId: { type: 'string' },
+    roleSessionName: { type: 'string' }
+  },
+  allOf: [
+    {
+      anyOf: [
+        { required: ['bucketName'] },
+        { required: ['bucketNameKey'] }
+      ]
+    },
+    {
+      // files come from localDir, from a list of sources, or from another bucket when promoting
+      anyOf: [
+        { required: ['localDir'] },
+        { required: ['sources'] },
+        { required: ['source'] }
+      ]
+    }
+  ],
+  additionalProperties: false
+};
+
+const bucketsSchema = {
+  type: 'array',
+  items: bucketSchema
+};
+
+const s3SyncSchema = {
+  anyOf: [
+    bucketsSchema,
+    {
+      type: 'object',
+      properties: {
+        endpoint: { type: 'string' },
+        noSync: { anyOf: [{ type: 'boolean' }, { type: 'string' }] },
+        watch: { type: 'boolean' },
+        report: { type: 'string' },
+        hooks: {
+          type: 'array',
+          items: { type: 'string' }
+        },
+        buckets: bucketsSchema,
+        maxAsyncS3: { type: 'integer', minimum: 1 },
+        retries: { type: 'integer', minimum: 0 },
+        retryDelay: { type: 'integer', minimum: 0 }
+      },
+      additionalProperties: false
+    }
+  ]
+};
+
+module.exports = s3SyncSchema;
@@ -0,0 +1,79 @@
+const BbPromise = require('bluebird');
+const fs = require('fs');
+const s3 = require('@auth0/s3');
+
+function cleanETag(eTag) {
+  return eTag ? eTag.replace(/^\s*'?\s*"?\s*(.*?)\s*"?\s*'?\s*$/, '$1') : '';
+}
+
+function computeETag(localFile) {
+  return new Promise((resolve, reject) => {
+    const multipartETag = new s3.MultipartETag();
+    const inStream = fs.createReadStream(localFile);
+    inStream.on('error', reject);
+    multipartETag.on('end', () => resolve(multipartETag));
+    inStream.pipe(multipartETag);
+    multipartETag.resume();
+  });
+}
+
+const byKey = (a, b) => (a.key < b.key ? -1 : (a.key > b.key ? 1 : 0));
+
+function isCopyOf(file, object, getSourceETag) {
+  const eTag = cleanETag(file.eTag);
+  if (eTag === cleanETag(object.ETag)) {
+    return Promise.resolve(true);
+  }
+  // a copy of a multipart upload gets a single part ETag, the copy keeps the ETag of its source in its metadata
+  if (!getSourceETag || !eTag.includes('-') || file.size !== object.Size) {
+    return Promise.resolve(false);
+  }
+  return Promise.resolve(getSourceETag(file.key)).then(sourceETag => cleanETag(sourceETag) === eTag);
+}
+
+/*
+  Compares local files ({ localFile, key, size }) or objects of another bucket
+  ({ eTag, key, size }) with the listed remote `objects`,
+  the same way @auth0/s3's uploadDir does: a file is uploaded when its key is missing
+  remotely or its multipart ETag does not match, and remote keys without a local file
+  are deleted when `deleteRemoved` is set. Objects copied from multipart uploads are compared
+  with the source ETag `getSourceETag(key)` reads from the remote object.
+*/
+function diffBucket(objects, { files, deleteRemoved, getSourceETag }) {
+  const remote = new Map(objects.map((object) => [object.Key, object]));
+  const diff = { uploads: [], deletes: [], unchanged: [] };
+
+  return BbPromise.map(files, (file) => {
+    const object = remote.get(file.key);
+    remote.delete(file.key);
+    if (!object) {
+      diff.uploads.push(Object.assign({ action: 'create' }, file));
+      return null;
+    }
+    // objects copied from another bucket carry their ETag, local files are hashed
+    const matches = file.eTag !== undefined ?
+      isCopyOf(file, object, getSourceETag) :
+      computeETag(file.localFile).then(multipartETag => multipartETag.anyMatch(cleanETag(object.ETag)));
+    return matches
+      .then((match) => {
+        if (match) {
+          diff.unchanged.push(file);
+        } else {
+          diff.uploads.push(Object.assign({ action: 'update' }, file));
+        }
+      });
+  }, { concurrency: 4 })
+    .then(() => {
+      if (deleteRemoved) {
+        remote.forEach((object) => {
+          diff.deletes.push({ key: object.Key, size: object.Size });
+        });
+      }
+      diff.uploads.sort(byKey);
+      diff.deletes.sort(byKey);
+      diff.unchanged.sort(byKey);
+      return diff;
+    });
+}
+
+module.exports = diffBucket;
@@ -0,0 +1,32 @@
+const { matchesGlob } = require('./resolveParams');
+
+// globs like `**/*` or `**` that match every path
+const isCatchAll = glob => /^[*/]+$/.test(glob);
+
+/*
+  Splits items into ordered upload phases. An item goes to the first phase whose glob matches
+  its path the way `params` globs do (see resolveParams), catch-all globs only take the items
+  no other glob matches, and items matched by no glob at all form an extra last phase. Empty
+  phases are dropped.
+*/
+function groupByPhase(items, globs, getPath) {
+  const phases = globs.map(() => []);
+  const rest = [];
+  const catchAll = globs.findIndex(isCatchAll);
+
+  items.forEach((item) => {
+    const itemPath = getPath(item);
+    const index = globs.findIndex(glob => !isCatchAll(glob) && matchesGlob(itemPath, glob));
+    if (index >= 0) {
+      phases[index].push(item);
+    } else if (catchAll >= 0) {
+      phases[catchAll].push(item);
+    } else {
+      rest.push(item);
+    }
+  });
+
+  return phases.concat([rest]).filter(phase => phase.length > 0);
+}
+
+module.exports = groupByPhase;
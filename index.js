@@ -5,13 +5,51 @@ const s3 = require('@auth0/s3');
 const minimatch = require('minimatch');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const zlib = require('zlib');
 const resolveStackOutput = require('./resolveStackOutput')
 const getAwsOptions = require('./getAwsOptions')
+const diffBucket = require('./diffBucket')
+const listRemoteObjects = require('./listRemoteObjects')
+const s3SyncSchema = require('./configSchema')
+const validateConfig = require('./validateConfig')
+const collapsePaths = require('./collapsePaths')
+const groupByPhase = require('./groupByPhase')
+const parseIgnoreFile = require('./parseIgnoreFile')
+const metadataDiffers = require('./metadataDiffers')
+const resolveParams = require('./resolveParams')
+const { matchesGlob } = require('./resolveParams')
+const withRetry = require('./withRetry')
+const runCommand = require('./runCommand')
+const watchTree = require('./watchTree')
 const mime = require('mime');
-const child_process = require('child_process');
 
 const toS3Path = (osPath) => osPath.replace(new RegExp(`\\${path.sep}`, 'g'), '/');
 
+// --only and --skip, accepted by every command working on bucket entries, see selectBucketConfigs
+const ENTRY_OPTIONS = {
+  only: {
+    type: 'multiple',
+    usage: 'Only use the bucket entries with this name, label or localDir, can be repeated (e.g. "--only docs")'
+  },
+  skip: {
+    type: 'multiple',
+    usage: 'Leave out the bucket entries with this name, label or localDir, can be repeated (e.g. "--skip media")'
+  }
+};
+
+// user metadata recording the ETag of the object a multipart upload was promoted from, see diffBucket
+const SOURCE_ETAG = 'source-etag';
+
+const withoutSourceETag = (head) => {
+  const { [SOURCE_ETAG]: sourceETag, ...metadata } = head.Metadata || {};
+  return Object.assign({}, head, { Metadata: metadata });
+};
+
+// milliseconds without further changes before watch mode syncs what changed
+const WATCH_DEBOUNCE = 300;
+
 /*
   From @auth0/s3/lib/index.js - used when uploading the file in the first place
   - added the + character to the set that are escaped.
@@ -34,6 +72,24 @@ class ServerlessS3Sync {
     this.progress = logging.progress;
     this.servicePath = this.serverless.service.serverless.config.servicePath;
     this.offline = String(this.options.offline).toUpperCase() === 'TRUE';
+    // keys uploaded, overwritten or deleted per bucket entry, used for CloudFront invalidations
+    this.changedKeys = new Map();
+    // params each key was uploaded with per bucket entry, so the metadata sync can skip them
+    this.uploadedParams = new Map();
+    // S3 clients per distinct region, credentials and concurrency
+    this.clients = new Map();
+    // what was written per bucket entry, for the JSON report
+    this.report = new Map();
+    // outputs per stack and region, see resolveStackOutput
+    this.stackOutputs = new Map();
+
+    if (this.serverless.configSchemaHandler) {
+      this.serverless.configSchemaHandler.defineCustomProperties({
+        properties: {
+          s3Sync: s3SyncSchema
+        }
+      });
+    }
 
     this.commands = {
       s3sync: {
@@ -41,22 +97,188 @@ class ServerlessS3Sync {
         lifecycleEvents: [
           'sync',
           'metadata',
-          'tags'
+          'tags',
+          'invalidate'
         ],
+        options: {
+          's3sync-dry-run': {
+            type: 'boolean',
+            usage: 'Print what would be synced to S3 without writing anything'
+          },
+          's3sync-report': {
+            type: 'string',
+            usage: 'Write a JSON report of the changes made to S3 to this file'
+          },
+          's3sync-force': {
+            type: 'boolean',
+            usage: 'Sync even when localDir is empty or more objects than maxDeletes would be deleted'
+          },
+          ...ENTRY_OPTIONS
+        },
         commands: {
           bucket: {
             options: {
+              ...ENTRY_OPTIONS,
               bucket: {
                 usage: 'Specify the bucket you want to deploy (e.g. "-b myBucket1")',
                 required: true,
                 shortcut: 'b',
                 type: 'string'
+              },
+              's3sync-dry-run': {
+                type: 'boolean',
+                usage: 'Print what would be synced to the bucket without writing anything'
+              },
+              's3sync-report': {
+                type: 'string',
+                usage: 'Write a JSON report of the changes made to the bucket to this file'
+              },
+              's3sync-force': {
+                type: 'boolean',
+                usage: 'Sync even when localDir is empty or more objects than maxDeletes would be deleted'
               }
             },
             lifecycleEvents: [
               'sync',
               'metadata',
-              'tags'
+              'tags',
+              'invalidate'
+            ]
+          },
+          releases: {
+            usage: 'List the releases of bucket entries using release mode',
+            options: {
+              ...ENTRY_OPTIONS,
+              bucket: {
+                usage: 'Only list the releases of the bucket with this name (e.g. "-b myBucket1")',
+                shortcut: 'b',
+                type: 'string'
+              }
+            },
+            lifecycleEvents: [
+              'releases'
+            ]
+          },
+          rollback: {
+            usage: 'Activate a previous release of bucket entries using release mode',
+            options: {
+              ...ENTRY_OPTIONS,
+              release: {
+                usage: 'Specify the release you want to activate (e.g. "--release 20240101120000")',
+                required: true,
+                type: 'string'
+              },
+              bucket: {
+                usage: 'Only roll back the bucket with this name (e.g. "-b myBucket1")',
+                shortcut: 'b',
+                type: 'string'
+              }
+            },
+            lifecycleEvents: [
+              'rollback'
+            ]
+          },
+          pull: {
+            usage: 'Download bucket prefixes into their local directories',
+            options: {
+              ...ENTRY_OPTIONS,
+              bucket: {
+                usage: 'Only pull the bucket with this name (e.g. "-b myBucket1")',
+                shortcut: 'b',
+                type: 'string'
+              },
+              delete: {
+                usage: 'Delete local files that do not exist in the bucket',
+                type: 'boolean'
+              },
+              exclude: {
+                usage: 'Do not download or delete files matching this glob, can be repeated (e.g. "--exclude \'**/*.map\'")',
+                type: 'multiple'
+              }
+            },
+            lifecycleEvents: [
+              'pull'
+            ]
+          },
+          watch: {
+            usage: 'Watch local directories and sync changed files until interrupted',
+            options: {
+              ...ENTRY_OPTIONS,
+              bucket: {
+                usage: 'Only watch the directory of the bucket with this name (e.g. "-b myBucket1")',
+                shortcut: 'b',
+                type: 'string'
+              },
+              offline: {
+                usage: 'Sync to the configured endpoint, e.g. serverless-s3-local',
+                type: 'boolean'
+              }
+            },
+            lifecycleEvents: [
+              'watch'
+            ]
+          },
+          clear: {
+            usage: 'Remove the objects synced to bucket prefixes, as sls remove does',
+            options: {
+              ...ENTRY_OPTIONS,
+              bucket: {
+                usage: 'Only clear the bucket with this name (e.g. "-b myBucket1")',
+                shortcut: 'b',
+                type: 'string'
+              },
+              'all-versions': {
+                usage: 'Also remove noncurrent versions and delete markers of versioned buckets',
+                type: 'boolean'
+              },
+              's3sync-report': {
+                type: 'string',
+                usage: 'Write a JSON report of the removed objects to this file'
+              }
+            },
+            lifecycleEvents: [
+              'clear'
+            ]
+          },
+          rules: {
+            usage: 'Print the params rules that apply to a file and the resulting S3 params',
+            options: {
+              file: {
+                usage: 'Specify the file, relative to the service directory (e.g. "--file dist/index.html")',
+                required: true,
+                type: 'string'
+              }
+            },
+            lifecycleEvents: [
+              'rules'
+            ]
+          },
+          verify: {
+            usage: 'Compare buckets with their local directories and fail on drift',
+            options: {
+              ...ENTRY_OPTIONS,
+              bucket: {
+                usage: 'Only verify the bucket with this name (e.g. "-b myBucket1")',
+                shortcut: 'b',
+                type: 'string'
+              }
+            },
+            lifecycleEvents: [
+              'verify'
+            ]
+          },
+          plan: {
+            usage: 'Print the uploads, deletions, metadata and tag changes a sync would make',
+            options: {
+              ...ENTRY_OPTIONS,
+              bucket: {
+                usage: 'Only plan the bucket with this name (e.g. "-b myBucket1")',
+                shortcut: 'b',
+                type: 'string'
+              }
+            },
+            lifecycleEvents: [
+              'plan'
             ]
           }
         }
@@ -66,7 +288,20 @@ class ServerlessS3Sync {
           nos3sync: {
             type: 'boolean',
             usage: 'Disable sync to S3 during deploy'
-          }
+          },
+          's3sync-dry-run': {
+            type: 'boolean',
+            usage: 'Print what would be synced to S3 instead of syncing'
+          },
+          's3sync-report': {
+            type: 'string',
+            usage: 'Write a JSON report of the changes made to S3 to this file'
+          },
+          's3sync-force': {
+            type: 'boolean',
+            usage: 'Sync even when localDir is empty or more objects than maxDeletes would be deleted'
+          },
+          ...ENTRY_OPTIONS
         }
       },
       remove: {
@@ -74,7 +309,12 @@ class ServerlessS3Sync {
           nos3sync: {
             type: 'boolean',
             usage: 'Disable sync to S3 during remove'
-          }
+          },
+          's3sync-report': {
+            type: 'string',
+            usage: 'Write a JSON report of the objects removed from S3 to this file'
+          },
+          ...ENTRY_OPTIONS
         }
       },
       offline: {
@@ -99,27 +339,48 @@ class ServerlessS3Sync {
 
     const noSync = this.getNoSync();
     const customHooks = this.getCustomHooks().reduce((acc, hook) => {
-      acc[hook] = () => BbPromise.bind(this).then(this.sync).then(this.syncMetadata).then(this.syncBucketTags);
+      acc[hook] = () => this.syncAll();
       return acc;
     }, {});
 
     this.hooks = {
-      'after:deploy:deploy': () => noSync ? undefined : BbPromise.bind(this).then(this.sync).then(this.syncMetadata).then(this.syncBucketTags),
-      'after:offline:start:init': () => noSync ? undefined : BbPromise.bind(this).then(this.sync).then(this.syncMetadata).then(this.syncBucketTags),
-      'after:offline:start': () => noSync ? undefined : BbPromise.bind(this).then(this.sync).then(this.syncMetadata).then(this.syncBucketTags),
+      'after:deploy:deploy': () => noSync ? undefined : this.syncAll(),
+      'after:offline:start:init': () => noSync ? undefined : this.syncAll().then(() => this.getWatch() ? this.watch() : undefined),
+      'after:offline:start': () => noSync ? undefined : this.syncAll(),
       'before:offline:start': this.setOffline.bind(this),
       'before:offline:start:init': this.setOffline.bind(this),
       'before:remove:remove': () => noSync ? undefined : BbPromise.bind(this).then(this.clear),
-      's3sync:sync': () => BbPromise.bind(this).then(() => this.sync(true)),
-      's3sync:metadata': () => BbPromise.bind(this).then(() => this.syncMetadata(true)),
-      's3sync:tags': () => BbPromise.bind(this).then(() => this.syncBucketTags(true)),
-      's3sync:bucket:sync': () => BbPromise.bind(this).then(() => this.sync(true)),
-      's3sync:bucket:metadata': () => BbPromise.bind(this).then(() => this.syncMetadata(true)),
-      's3sync:bucket:tags': () => BbPromise.bind(this).then(() => this.syncBucketTags(true)),
+      's3sync:sync': () => this.isDryRun() ? this.plan(true) : BbPromise.bind(this).then(() => this.sync(true)),
+      's3sync:metadata': () => this.isDryRun() ? undefined : BbPromise.bind(this).then(() => this.syncMetadata(true)),
+      's3sync:tags': () => this.isDryRun() ? undefined : BbPromise.bind(this).then(() => this.syncBucketTags(true)).then(() => this.syncObjectTags(true)),
+      's3sync:invalidate': () => this.isDryRun() ? undefined : BbPromise.bind(this).then(() => this.invalidateCloudFront(true)),
+      's3sync:bucket:sync': () => this.isDryRun() ? this.plan(true) : BbPromise.bind(this).then(() => this.sync(true)),
+      's3sync:bucket:metadata': () => this.isDryRun() ? undefined : BbPromise.bind(this).then(() => this.syncMetadata(true)),
+      's3sync:bucket:tags': () => this.isDryRun() ? undefined : BbPromise.bind(this).then(() => this.syncBucketTags(true)).then(() => this.syncObjectTags(true)),
+      's3sync:bucket:invalidate': () => this.isDryRun() ? undefined : BbPromise.bind(this).then(() => this.invalidateCloudFront(true)),
+      's3sync:plan:plan': () => BbPromise.bind(this).then(() => this.plan(true)),
+      's3sync:releases:releases': () => BbPromise.bind(this).then(this.listReleases),
+      's3sync:rollback:rollback': () => BbPromise.bind(this).then(this.rollback).then(() => this.invalidateCloudFront()),
+      's3sync:pull:pull': () => BbPromise.bind(this).then(this.pull),
+      's3sync:watch:watch': () => BbPromise.bind(this).then(this.watch).then(this.waitForInterrupt),
+      's3sync:clear:clear': () => BbPromise.bind(this).then(() => this.clear(true)),
+      's3sync:verify:verify': () => BbPromise.bind(this).then(this.verify),
+      's3sync:rules:rules': () => BbPromise.bind(this).then(this.printRules),
       ...customHooks,
     };
   }
 
+  syncAll() {
+    if (this.isDryRun()) {
+      return BbPromise.bind(this).then(() => this.plan());
+    }
+    return BbPromise.bind(this).then(this.sync).then(this.syncMetadata).then(this.syncBucketTags).then(this.syncObjectTags).then(this.invalidateCloudFront);
+  }
+
+  isDryRun() {
+    return Boolean(this.options['s3sync-dry-run']);
+  }
+
   setOffline() {
     this.offline = true
   }
@@ -140,32 +401,135 @@ class ServerlessS3Sync {
     return String(noSync).toUpperCase() === 'TRUE';
   }
 
+  getWatch() {
+    return this.serverless.service.custom.s3Sync.hasOwnProperty('watch') ? this.serverless.service.custom.s3Sync.watch === true : false;
+  }
+
   getCustomHooks() {
     return this.serverless.service.custom.s3Sync.hasOwnProperty('hooks') ? this.serverless.service.custom.s3Sync.hooks : [];
   }
 
-  client() {
+  getBucketConfigs(all) {
+    this.validateConfig();
+    let s3Sync = this.serverless.service.custom.s3Sync;
+    if(s3Sync.hasOwnProperty('buckets')) {
+      s3Sync = s3Sync.buckets;
+    }
+    if (!Array.isArray(s3Sync)) {
+      return null;
+    }
+    return all ? s3Sync : this.selectBucketConfigs(s3Sync);
+  }
+
+  selectBucketConfigs(s3Sync) {
+    // --only and --skip match entries by name, label or localDir, before any bucket name is resolved
+    const only = [].concat(this.options.only || []);
+    const skip = [].concat(this.options.skip || []);
+    const normalize = dir => path.normalize(dir).replace(/\/$/, '');
+    const matches = (s, selector) => s.name === selector || (s.labels || []).includes(selector) ||
+      (Boolean(s.localDir) && normalize(s.localDir) === normalize(selector));
+    const unknown = only.concat(skip).filter(selector => !s3Sync.some(s => matches(s, selector)));
+    if (unknown.length > 0) {
+      throw new this.serverless.classes.Error(`No bucket entry has the name, label or localDir ${unknown.join(', ')}`);
+    }
+    return s3Sync.filter(s => (only.length === 0 || only.some(selector => matches(s, selector))) &&
+      !skip.some(selector => matches(s, selector)));
+  }
+
+  validateConfig() {
+    // configValidationMode: off turns off the plugin's validation as well
+    if (this.serverless.service.configValidationMode === 'off') {
+      return;
+    }
+    const errors = validateConfig(this.serverless.service.custom.s3Sync, s3SyncSchema, 'custom.s3Sync');
+    if (errors.length > 0) {
+      throw new this.serverless.classes.Error(`Invalid custom.s3Sync configuration:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    }
+  }
+
+  client(s) {
+    const offline = Boolean(this.getEndpoint() && this.isOffline());
+    const { region, profile, roleArn, externalId, roleSessionName } = s || {};
+    const { maxAsyncS3 } = this.getS3Options(s);
+    const cacheKey = JSON.stringify({ offline, region, profile, roleArn, externalId, roleSessionName, maxAsyncS3 });
+    if (this.clients.has(cacheKey)) {
+      return this.clients.get(cacheKey);
+    }
+
     const provider = this.serverless.getProvider('aws');
     const s3Options = getAwsOptions(provider)
+    // failed requests are retried by s3Request, with the same limits for every S3 call
+    s3Options.maxRetries = 0;
+    if (region) {
+      s3Options.region = region;
+    }
+    // the local endpoint accepts any credentials, so profiles and roles only apply to AWS
+    if (profile && !offline) {
+      s3Options.credentials = new provider.sdk.SharedIniFileCredentials({ profile });
+    }
+    if (roleArn && !offline) {
+      s3Options.credentials = new provider.sdk.ChainableTemporaryCredentials({
+        params: {
+          RoleArn: roleArn,
+          RoleSessionName: roleSessionName || 'serverless-s3-sync',
+          ...(externalId ? { ExternalId: externalId } : {})
+        },
+        masterCredentials: s3Options.credentials
+      });
+    }
 
-    if(this.getEndpoint() && this.isOffline()) {
+    if(offline) {
       s3Options.endpoint = new provider.sdk.Endpoint(this.serverless.service.custom.s3Sync.endpoint);
       s3Options.s3ForcePathStyle = true;
     }
     const s3Client = new provider.sdk.S3(s3Options);
-    if(this.getEndpoint() && this.isOffline()) {
+    if(offline) {
       //see: https://github.com/aws/aws-sdk-js/issues/1157
       s3Client.shouldDisableBodySigning = () => true
     }
-    return s3.createClient({ s3Client });
+    const client = s3.createClient({ s3Client, maxAsyncS3, s3RetryCount: 1 });
+    this.clients.set(cacheKey, client);
+    return client;
   }
 
-  sync(invokedAsCommand) {
-    let s3Sync = this.serverless.service.custom.s3Sync;
-    if(s3Sync.hasOwnProperty('buckets')) {
-      s3Sync = s3Sync.buckets;
+  getS3Options(s) {
+    const s3Sync = this.serverless.service.custom.s3Sync;
+    const global = Array.isArray(s3Sync) ? {} : s3Sync;
+    const option = (name, defaultValue) => [s && s[name], global[name], defaultValue].find(value => value !== undefined);
+    return {
+      maxAsyncS3: option('maxAsyncS3', 5),
+      retries: option('retries', 3),
+      retryDelay: option('retryDelay', 500)
+    };
+  }
+
+  s3Request(s, { operation, bucket, key }, request) {
+    const location = `s3://${bucket}/${key || ''}`;
+    return withRetry(request, this.getS3Options(s), (err, retry, delay) => {
+      this.log.verbose(`Failed to ${operation} ${location} (${err.code || err.message}), retry ${retry} in ${delay}ms`);
+    })
+      .catch(err => {
+        throw this.s3Error(err, operation, bucket, err.failedKey || key);
+      });
+  }
+
+  s3Error(err, operation, bucket, key) {
+    if (err.bucket) {
+      return err;
     }
-    if (!Array.isArray(s3Sync)) {
+    const location = `s3://${bucket}/${key || ''}`;
+    const error = new this.serverless.classes.Error(`Failed to ${operation} ${location}: ${err.message}${err.code ? ` (${err.code})` : ''}`);
+    return Object.assign(error, { bucket, key, code: err.code, statusCode: err.statusCode, originalError: err });
+  }
+
+  listBucketObjects(s, bucketName, prefix) {
+    return this.s3Request(s, { operation: 'list', bucket: bucketName, key: prefix },
+      () => listRemoteObjects(this.client(s), bucketName, prefix));
+  }
+
+  sync(invokedAsCommand) {
+    const s3Sync = this.getBucketConfigs();
+    if (!s3Sync) {
       this.log.error('serverless-s3-sync requires at least one configuration entry in custom.s3Sync')
       return Promise.resolve();
     }
@@ -178,119 +542,74 @@ class ServerlessS3Sync {
 
     const servicePath = this.servicePath;
     const promises = s3Sync.map((s) => {
-      let bucketPrefix = '';
-      if (s.hasOwnProperty('bucketPrefix')) {
-        bucketPrefix = s.bucketPrefix;
-      }
-      let acl = 'private';
-      if (s.hasOwnProperty('acl')) {
-        acl = s.acl;
-      }
       if (s.hasOwnProperty('enabled') && s.enabled === false) {
         return;
       }
-      let followSymlinks = false;
-      if (s.hasOwnProperty('followSymlinks')) {
-        followSymlinks = s.followSymlinks;
-      }
-      let defaultContentType = undefined
-      if (s.hasOwnProperty('defaultContentType')) {
-        defaultContentType = s.defaultContentType;
-      }
-      if ((!s.bucketName && !s.bucketNameKey) || !s.localDir) {
-        throw 'Invalid custom.s3Sync';
-      }
-      let deleteRemoved = true;
-      if (s.hasOwnProperty('deleteRemoved')) {
-          deleteRemoved = s.deleteRemoved;
-      }
-      let preCommand = undefined
-      if (s.hasOwnProperty('preCommand')) {
-          preCommand = s.preCommand;
-      }
-
-      return this.getBucketName(s)
+      return this.reportStep(s, 'sync', () => this.getBucketName(s)
+        .then(bucketName => this.checkReleasePrefix(s, bucketName).then(() => bucketName))
         .then(bucketName => {
           if (this.options.bucket && bucketName != this.options.bucket) {
             // if the bucket option is given, that means we're in the subcommand where we're
             // only syncing one bucket, so only continue if this bucket name matches
             return null;
           }
-          return new Promise((resolve) => {
-            const localDir = [servicePath, s.localDir].join('/');
+          const localDir = [servicePath, s.localDir].join('/');
+          const report = this.getReport(s, bucketName);
 
-            // we're doing the upload in parallel for all buckets, so create one progress entry for each
-            let percent = 0;
-            const getProgressMessage = () => `${localDir}: sync with bucket ${bucketName} (${percent}%)`;
-            const bucketProgress = this.progress.create({ message: getProgressMessage() })
+          // we're doing the upload in parallel for all buckets, so create one progress entry for each
+          let percent = 0;
+          const getProgressMessage = () => `${localDir}: sync with bucket ${bucketName} (${percent}%)`;
+          const bucketProgress = this.progress.create({ message: getProgressMessage() })
 
-            if (typeof(preCommand) != 'undefined') {
+          return BbPromise.try(() => {
+            if (s.preCommand) {
               bucketProgress.update(`${localDir}: running pre-command...`);
-              child_process.execSync(preCommand, { stdio: 'inherit' });
-            }
-
-            const params = {
-              maxAsyncS3: 5,
-              localDir,
-              deleteRemoved,
-              followSymlinks: followSymlinks,
-              getS3Params: (localFile, stat, cb) => {
-                const s3Params = {};
-                let onlyForEnv;
-
-                if(Array.isArray(s.params)) {
-                  s.params.forEach((param) => {
-                    const glob = Object.keys(param)[0];
-                    if(minimatch(localFile, `${path.resolve(localDir)}/${glob}`)) {
-                      Object.assign(s3Params, this.extractMetaParams(param) || {});
-                      onlyForEnv = s3Params['OnlyForEnv'] || onlyForEnv;
-                    }
-                  });
-                  // to avoid parameter validation error
-                  delete s3Params['OnlyForEnv'];
-                }
-
-                if (onlyForEnv && onlyForEnv !== this.options.env) {
-                  cb(null, null);
-                } else {
-                  cb(null, s3Params);
-                }
-              },
-              s3Params: {
-                Bucket: bucketName,
-                Prefix: bucketPrefix,
-                ACL: acl
-              }
-            };
-            if (typeof(defaultContentType) != 'undefined') {
-              Object.assign(params, {defaultContentType: defaultContentType})
+              return this.runEntryCommand(s, 'preCommand', bucketName, bucketProgress);
             }
-
-            bucketProgress.update(getProgressMessage());
-
-            const uploader = this.client().uploadDir(params);
-            uploader.on('error', (err) => {
-              bucketProgress.remove();
-              throw err;
-            });
-            uploader.on('progress', () => {
-              if (uploader.progressTotal === 0) {
-                return;
+          })
+            .then(() => {
+              bucketProgress.update(getProgressMessage());
+              return this.planBucketSync(s, bucketName);
+            })
+            .then(plan => BbPromise.try(() => {
+              const refusal = this.checkDeletes(s, plan);
+              if (refusal && !this.options['s3sync-force']) {
+                throw new this.serverless.classes.Error(`${refusal}. Pass --s3sync-force to sync anyway.`);
               }
-              const current = Math.round((uploader.progressAmount / uploader.progressTotal) * 10) * 10;
+            }).then(() => this.applyBucketSync(s, plan, (current) => {
               if (current > percent) {
                 percent = current;
                 bucketProgress.update(getProgressMessage());
               }
-            });
-            uploader.on('end', () => {
+            }).then(() => {
+              report.uploaded.push(...plan.uploads.map(({ key, size, action }) => ({ key, size, action })));
+              report.bytesUploaded += plan.uploads.reduce((total, upload) => total + upload.size, 0);
+              if (!plan.release) {
+                report.deleted.push(...plan.deletes.map(object => object.key));
+                report.bytesDeleted += plan.deletes.reduce((total, object) => total + (object.size || 0), 0);
+                report.skipped.push(...plan.unchanged.map(file => file.key));
+                this.uploadedParams.set(s, new Map(plan.uploads.map(upload => [upload.key, this.getUploadParams(plan, upload)])));
+                return plan.uploads.concat(plan.deletes).map(object => object.key);
+              }
+              report.release = plan.release.id;
+              bucketProgress.update(`${localDir}: activating release ${plan.release.id}...`);
+              return this.activateRelease(s, bucketName, plan.release.id)
+                .then(changedKeys => this.pruneReleases(s, bucketName).then(() => changedKeys));
+            })).then(changedKeys => {
+              this.recordChangedKeys(s, changedKeys);
+              if (s.postCommand) {
+                bucketProgress.update(`${localDir}: running post-command...`);
+                return this.runEntryCommand(s, 'postCommand', bucketName, bucketProgress, changedKeys);
+              }
+            }).finally(() => {
+              this.removeTempDir(plan.tempDir);
+            }))
+            .finally(() => {
               bucketProgress.remove();
-              resolve('done');
             });
-          });
-        });
+        }));
     });
-    return Promise.all(promises)
+    return this.allSettled(promises)
       .then(() => {
         if (invokedAsCommand) {
           this.log.success('Synced files to S3 buckets');
@@ -300,175 +619,1813 @@ class ServerlessS3Sync {
       })
       .finally(() => {
         taskProgress.remove();
+        this.writeReport();
       });
   }
 
-  clear() {
-    let s3Sync = this.serverless.service.custom.s3Sync;
-    if(s3Sync.hasOwnProperty('buckets')) {
-      s3Sync = s3Sync.buckets;
-    }
-    if (!Array.isArray(s3Sync)) {
-      this.log.notice(`No configuration found for serverless-s3-sync, skipping removal...`);
-      return Promise.resolve();
+  runEntryCommand(s, name, bucketName, bucketProgress, changedKeys) {
+    // the commands learn about the target from S3SYNC_* variables, postCommand also gets the changed keys
+    const provider = this.serverless.getProvider('aws');
+    const env = Object.assign({}, process.env, {
+      S3SYNC_BUCKET_NAME: bucketName,
+      S3SYNC_BUCKET_PREFIX: s.bucketPrefix || '',
+      S3SYNC_STAGE: provider.getStage(),
+      S3SYNC_REGION: s.region || provider.getRegion()
+    });
+    let tempDir = null;
+    if (changedKeys) {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'serverless-s3-sync-'));
+      env.S3SYNC_CHANGED_KEYS_FILE = path.join(tempDir, 'changed-keys.txt');
+      fs.writeFileSync(env.S3SYNC_CHANGED_KEYS_FILE, changedKeys.map(key => `${key}\n`).join(''));
     }
+    return BbPromise.resolve(runCommand(s[name], { cwd: this.servicePath, env }, (line) => {
+      bucketProgress.update(`${bucketName} ${name}: ${line}`);
+      this.log.notice(`[${bucketName} ${name}] ${line}`);
+    }))
+      .catch((err) => {
+        const output = err.output && err.output.length > 0 ? `, last output:\n${err.output.join('\n')}` : '';
+        throw new this.serverless.classes.Error(`${name} of s3://${bucketName} failed, ${err.message}: ${s[name]}${output}`);
+      })
+      .finally(() => {
+        this.removeTempDir(tempDir);
+      });
+  }
 
-    const taskProgress = this.progress.create({ message: 'Removing objects from S3 buckets' });
+  allSettled(promises) {
+    // every entry finishes before failing with the first error, so the report is complete
+    return BbPromise.all(promises.map(promise => BbPromise.resolve(promise).reflect()))
+      .then((results) => {
+        const failed = results.find(result => result.isRejected());
+        if (failed) {
+          throw failed.reason();
+        }
+        return results.map(result => result.value());
+      });
+  }
 
-    const promises = s3Sync.map((s) => {
-      let bucketPrefix = '';
-      if (s.hasOwnProperty('bucketPrefix')) {
-        bucketPrefix = s.bucketPrefix;
-      }
-      if (s.hasOwnProperty('enabled') && s.enabled === false) {
-        return;
-      }
-      return this.getBucketName(s)
-        .then(bucketName => {
-          return new Promise((resolve) => {
-            const params = {
-              Bucket: bucketName,
-              Prefix: bucketPrefix
-            };
+  getReportFile() {
+    const s3Sync = this.serverless.service.custom.s3Sync;
+    const reportFile = this.options['s3sync-report'] || (!Array.isArray(s3Sync) && s3Sync.report);
+    return reportFile ? path.resolve(this.servicePath, reportFile) : null;
+  }
 
-            let percent = 0;
-            let getProgressMessage = () => `${bucketName}: removing files with prefix ${bucketPrefix} (${percent}%)`
-            const bucketProgress = this.progress.create({ message: getProgressMessage() })
+  getReport(s, bucketName) {
+    if (!this.report.has(s)) {
+      this.report.set(s, {
+        bucketName: bucketName || null,
+        bucketPrefix: s.bucketPrefix || '',
+        localDir: s.localDir,
+        uploaded: [],
+        deleted: [],
+        skipped: [],
+        metadataUpdated: [],
+        tagsUpdated: [],
+        objectTagsUpdated: [],
+        bytesUploaded: 0,
+        bytesDeleted: 0,
+        durations: {},
+        errors: []
+      });
+    }
+    const report = this.report.get(s);
+    if (bucketName) {
+      report.bucketName = bucketName;
+    }
+    return report;
+  }
 
-            const uploader = this.client().deleteDir(params);
-            uploader.on('error', (err) => {
-              bucketProgress.remove();
-              throw err;
-            });
-            uploader.on('progress', () => {
-              if (uploader.progressTotal === 0) {
-                return;
-              }
-              const current = Math.round((uploader.progressAmount / uploader.progressTotal) * 10) * 10;
-              if (current > percent) {
-                percent = current;
-                bucketProgress.update(getProgressMessage());
-              }
-            });
-            uploader.on('end', () => {
-              bucketProgress.remove();
-              resolve('done');
-            });
-          });
+  reportStep(s, step, run) {
+    const start = Date.now();
+    return BbPromise.try(run)
+      .catch(err => {
+        this.getReport(s).errors.push({
+          step,
+          message: err.message || String(err),
+          ...(err.code ? { code: err.code } : {}),
+          ...(err.key ? { key: err.key } : {})
         });
-    });
-    return Promise.all((promises))
-      .then(() => {
-        this.log.verbose('Removed objects from S3 buckets');
+        throw err;
       })
       .finally(() => {
-        taskProgress.remove();
+        // entries skipped by the bucket option are left out of the report
+        if (this.report.has(s)) {
+          const durations = this.report.get(s).durations;
+          durations[step] = (durations[step] || 0) + Date.now() - start;
+        }
       });
   }
 
-  syncMetadata(invokedAsCommand) {
-    let s3Sync = this.serverless.service.custom.s3Sync;
-    if(s3Sync.hasOwnProperty('buckets')) {
-      s3Sync = s3Sync.buckets;
-    }
-    if (!Array.isArray(s3Sync)) {
-      this.log.error('serverless-s3-sync requires at least one configuration entry in custom.s3Sync');
-      return Promise.resolve();
+  writeReport() {
+    const reportFile = this.getReportFile();
+    if (!reportFile) {
+      return;
     }
+    const report = {
+      createdAt: new Date().toISOString(),
+      buckets: Array.from(this.report.values())
+    };
+    fs.mkdirSync(path.dirname(reportFile), { recursive: true });
+    fs.writeFileSync(reportFile, `${JSON.stringify(report, null, 2)}\n`);
+    this.log.verbose(`Wrote S3 sync report to ${reportFile}`);
+  }
 
-    const taskProgress = this.progress.create({ message: 'Syncing bucket metadata' });
+  planBucketSync(s, bucketName) {
+    let bucketPrefix = '';
+    if (s.hasOwnProperty('bucketPrefix')) {
+      bucketPrefix = s.bucketPrefix;
+    }
+    let acl = 'private';
+    if (s.hasOwnProperty('acl')) {
+      acl = s.acl;
+    }
+    let followSymlinks = false;
+    if (s.hasOwnProperty('followSymlinks')) {
+      followSymlinks = s.followSymlinks;
+    }
+    let defaultContentType = undefined
+    if (s.hasOwnProperty('defaultContentType')) {
+      defaultContentType = s.defaultContentType;
+    }
+    let deleteRemoved = true;
+    if (s.hasOwnProperty('deleteRemoved')) {
+        deleteRemoved = s.deleteRemoved;
+    }
 
-    const servicePath = this.servicePath;
-    const promises = s3Sync.map( async (s) => {
-      let bucketPrefix = '';
-      if (s.hasOwnProperty('bucketPrefix') && s.bucketPrefix.length > 0) {
-        bucketPrefix = s.bucketPrefix.replace(/\/?$/, '').replace(/^\/?/, '/')
-      }
-      let acl = 'private';
-      if (s.hasOwnProperty('acl')) {
-        acl = s.acl;
+    const localDir = [this.servicePath, s.localDir].join('/');
+    // the directories of `sources` are checked when they are listed
+    if (!s.source && !s.sources) {
+      try {
+        fs.accessSync(localDir, fs.constants.R_OK);
+      } catch (e) {
+        return Promise.reject(new this.serverless.classes.Error(`The directory ${localDir} does not exist.`));
       }
-      if ((!s.bucketName && !s.bucketNameKey) || !s.localDir) {
-        throw 'Invalid custom.s3Sync';
-      }
-      const localDir = path.join(servicePath, s.localDir);
-      let filesToSync = [];
-      let ignoreFiles = ['.DS_Store'];
-      if(Array.isArray(s.params)) {
-        s.params.forEach((param) => {
-          const glob = Object.keys(param)[0];
-          let files = this.getLocalFiles(localDir, []);
-          minimatch.match(files, `${path.resolve(localDir)}${path.sep}${glob}`, {matchBase: true}).forEach((match) => {
-            const params = this.extractMetaParams(param);
-            if (ignoreFiles.includes(match)) return;
-            if (params['OnlyForEnv'] && params['OnlyForEnv'] !== this.options.env) {
-              ignoreFiles.push(match);
-              filesToSync = filesToSync.filter(e => e.name !== match);
-              return;
-            }
-            // to avoid Unexpected Parameter error
-            delete params['OnlyForEnv'];
-            filesToSync = filesToSync.filter(e => e.name !== match);
-            filesToSync.push({name: match, params});
-          });
+    }
+
+    // same key layout as @auth0/s3's uploadDir: prefix with a trailing slash + relative path
+    const prefix = bucketPrefix ? bucketPrefix.replace(/\/?$/, '/') : '';
+    const isIncluded = this.getFileFilter(s, localDir);
+    let tempDir = null;
+
+    return this.getSyncFiles(s, localDir, followSymlinks, isIncluded)
+      .then((syncFiles) => {
+        tempDir = syncFiles.tempDir;
+        const source = syncFiles.source;
+        if (source && source.bucketName === bucketName && source.prefix === prefix) {
+          throw new this.serverless.classes.Error(`The source of ${bucketName}${prefix ? `/${prefix}` : ''} is the bucket itself`);
+        }
+        syncFiles.files.forEach((file) => {
+          file.key = prefix + file.path;
+        });
+        return this.listBucketObjects(s, bucketName, prefix)
+          .then(objects => diffBucket(objects, {
+            files: syncFiles.files,
+            deleteRemoved,
+            getSourceETag: key => this.s3Request(s, { operation: 'read metadata of', bucket: bucketName, key },
+              () => this.client(s).s3.headObject({ Bucket: bucketName, Key: key }).promise())
+              .then(head => (head.Metadata || {})[SOURCE_ETAG])
+          })
+            .then(diff => Object.assign({ diff, objectCount: objects.length }, syncFiles)));
+      })
+      .then(({ diff, objectCount, files, source }) => {
+        const uploads = diff.uploads
+          .map(upload => Object.assign(upload, { s3Params: this.getFileS3Params(s, localDir, upload) }))
+          // files skipped by getS3Params are neither uploaded nor deleted
+          .filter(upload => upload.s3Params !== null);
+        // excluded keys are left alone, whether or not they exist locally
+        const deletes = diff.deletes.filter(object => !this.isReleaseKey(s, object.key) && !this.isPreserved(s, object.key) &&
+          isIncluded(path.join(localDir, this.getLocalPath(s, object.key.substring(prefix.length)))));
+        const plan = {
+          bucketName,
+          bucketPrefix: prefix,
+          localDir,
+          source,
+          tempDir,
+          acl,
+          defaultContentType,
+          uploadOrder: s.uploadOrder,
+          deleteDelay: s.deleteDelay,
+          uploads,
+          deletes,
+          unchanged: diff.unchanged,
+          // generated files alone would still empty the prefix
+          fileCount: files.filter(file => !file.generated).length,
+          objectCount
+        };
+        if (!s.releases) {
+          return plan;
+        }
+
+        // in release mode every file goes to a new release prefix, the live prefix is only
+        // touched when the release is activated. The diff above is what activation will change.
+        const release = this.getReleaseConfig(s);
+        const releaseId = this.getReleaseId();
+        const releasePrefix = `${release.prefix}${releaseId}/`;
+        return BbPromise.all([this.listReleaseIds(s, bucketName, release), this.getRetainedKeys(s, bucketName, releaseId)])
+          .then(([releaseIds, retainedKeys]) => Object.assign(plan, {
+            uploads: files
+              .map(file => Object.assign({}, file, {
+                action: 'create',
+                key: releasePrefix + file.key.substring(prefix.length),
+                s3Params: this.getFileS3Params(s, localDir, file)
+              }))
+              .filter(upload => upload.s3Params !== null),
+            deletes: [],
+            unchanged: [],
+            release: {
+              id: releaseId,
+              prefix: releasePrefix,
+              activate: release.activate,
+              pointerKey: release.pointerKey,
+              activation: release.activate === 'copy' ?
+                { copies: uploads, deletes: deleteRemoved ? deletes.filter(object => !retainedKeys.has(object.key)) : [], unchanged: diff.unchanged } :
+                { copies: [], deletes: [], unchanged: [] },
+              pruned: releaseIds.slice(0, Math.max(releaseIds.length - release.keep + 1, 0))
+            }
+          }));
+      })
+      .catch(err => {
+        this.removeTempDir(tempDir);
+        throw err;
+      });
+  }
+
+  getSyncFiles(s, localDir, followSymlinks, isIncluded) {
+    let tempDir = null;
+    return this.renderGeneratedFiles(s, localDir)
+      .then((rendered) => {
+        tempDir = rendered.tempDir;
+        // a generated file replaces the file or object with the same path
+        const isReplaced = file => this.isGeneratedFile(s, file.path.replace(/\.br$/, ''));
+        if (s.source) {
+          return this.listSourceFiles(s, localDir, isIncluded)
+            .then(({ source, files }) => {
+              const generated = this.compressFiles(s, rendered.files, tempDir);
+              return { source, files: files.filter(file => !isReplaced(file)).concat(generated.files), tempDir: generated.tempDir };
+            })
+            .then(syncFiles => Object.assign(syncFiles, { files: this.cleanUrlFiles(s, syncFiles.files) }));
+        }
+        const localFiles = s.sources ? this.listSourcesFiles(s, localDir, followSymlinks, isIncluded) :
+          this.getLocalFiles(localDir, [], followSymlinks, isIncluded).map((localFile) => ({
+            // localFile holds the bytes to upload, sourceFile the file in localDir params are matched against
+            localFile,
+            sourceFile: localFile,
+            path: toS3Path(path.relative(localDir, localFile)),
+            size: fs.statSync(localFile).size
+          }));
+        const syncFiles = this.compressFiles(s, localFiles.filter(file => !isReplaced(file)).concat(rendered.files), tempDir);
+        return Object.assign(syncFiles, { files: this.cleanUrlFiles(s, syncFiles.files) });
+      })
+      .catch(err => {
+        this.removeTempDir(tempDir);
+        throw err;
+      });
+  }
+
+  listSourcesFiles(s, localDir, followSymlinks, isIncluded) {
+    // the files of every source merged into one tree, as if they had been copied into localDir
+    const files = new Map();
+    s.sources.forEach((source) => {
+      const sourceDir = path.resolve(this.servicePath, this.getSourcesBase(source).dir);
+      try {
+        fs.accessSync(sourceDir, fs.constants.R_OK);
+      } catch (e) {
+        throw new this.serverless.classes.Error(`The directory ${sourceDir} does not exist.`);
+      }
+      this.getLocalFiles(sourceDir, [], followSymlinks).forEach((localFile) => {
+        const mappedPath = this.mapSourcesPath(source, toS3Path(path.relative(sourceDir, localFile)));
+        if (mappedPath === null) {
+          return;
+        }
+        const sourceFile = path.join(localDir, ...mappedPath.split('/'));
+        if (!isIncluded(sourceFile)) {
+          return;
+        }
+        // a later source overrides the file an earlier one maps to the same path
+        files.delete(mappedPath);
+        files.set(mappedPath, { localFile, sourceFile, path: mappedPath, size: fs.statSync(localFile).size });
+      });
+    });
+    return Array.from(files.values());
+  }
+
+  getSourcesBase(source) {
+    if (source.localDir) {
+      return { dir: source.localDir, glob: null };
+    }
+    // a glob is listed from its leading segments without wildcards
+    const segments = source.glob.split('/');
+    const index = segments.findIndex(segment => /[*?[\]{}!()]/.test(segment));
+    const baseSegments = index === -1 ? segments.slice(0, -1) : segments.slice(0, index);
+    return { dir: baseSegments.join('/') || '.', glob: segments.slice(baseSegments.length).join('/') };
+  }
+
+  mapSourcesPath(source, relativePath) {
+    // the path relative to bucketPrefix a file of a source directory is uploaded to, or null,
+    // a source glob is a path below its leading directory so it is not matched like params globs
+    const { glob } = this.getSourcesBase(source);
+    if (glob && !minimatch(relativePath, glob, { dot: true })) {
+      return null;
+    }
+    const renamed = source.rename ? relativePath.replace(new RegExp(source.rename.from), source.rename.to) : relativePath;
+    const prefix = source.prefix ? source.prefix.replace(/^\/+/, '').replace(/\/?$/, '/') : '';
+    return prefix + renamed;
+  }
+
+  getCleanUrlPaths(s, relativePath) {
+    // with cleanUrls `foo.html` is uploaded as `foo`, and `dir/index.html` also as `dir/` or `dir`
+    if (!s.cleanUrls || !relativePath.endsWith('.html')) {
+      return [relativePath];
+    }
+    if (path.posix.basename(relativePath) !== 'index.html') {
+      return [relativePath.slice(0, -'.html'.length)];
+    }
+    const indexes = s.cleanUrls.indexes;
+    const dir = path.posix.dirname(relativePath);
+    if (!indexes || dir === '.') {
+      return [relativePath];
+    }
+    return [relativePath, indexes === 'trailingSlash' ? `${dir}/` : dir];
+  }
+
+  getLocalPath(s, remotePath) {
+    // the path in localDir of an object uploaded with cleanUrls, keys without an extension are pages
+    if (!s.cleanUrls) {
+      return remotePath;
+    }
+    if (remotePath.endsWith('/')) {
+      return `${remotePath}index.html`;
+    }
+    return path.posix.extname(remotePath) === '' ? `${remotePath}.html` : remotePath;
+  }
+
+  cleanUrlFiles(s, files) {
+    if (!s.cleanUrls) {
+      return files;
+    }
+    const pages = [];
+    const indexCopies = [];
+    files.forEach((file) => {
+      if (file.contentEncoding === 'br') {
+        // brotli variants follow the key of their page, index copies have none
+        pages.push({ ...file, path: `${this.getCleanUrlPaths(s, file.path.slice(0, -3))[0]}.br` });
+        return;
+      }
+      const [cleanPath, indexPath] = this.getCleanUrlPaths(s, file.path);
+      pages.push({ ...file, path: cleanPath });
+      if (indexPath) {
+        indexCopies.push({ ...file, path: indexPath });
+      }
+    });
+    // a page (`dir.html`, or the `dir` object of a source bucket) wins over the copy of `dir/index.html`
+    const paths = new Set(pages.map(file => file.path));
+    return pages.concat(indexCopies.filter(file => !paths.has(file.path)));
+  }
+
+  isGeneratedFile(s, relativePath) {
+    return Array.isArray(s.generatedFiles) && s.generatedFiles.some(generated => generated.key.replace(/^\/+/, '') === relativePath);
+  }
+
+  renderGeneratedFiles(s, localDir) {
+    if (!Array.isArray(s.generatedFiles) || s.generatedFiles.length === 0) {
+      return BbPromise.resolve({ files: [], tempDir: null });
+    }
+    // rendered into a temporary directory, so values only known after deploy never end up in localDir
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'serverless-s3-sync-'));
+    return BbPromise.map(s.generatedFiles, (generated) => {
+      const names = Object.keys(generated.values || {});
+      return BbPromise.map(names, (name) => {
+        const value = generated.values[name];
+        if (value !== null && typeof value == 'object') {
+          return this.resolveOutputRef(value);
+        }
+        return value;
+      })
+        .then((resolved) => {
+          const values = {};
+          names.forEach((name, index) => {
+            values[name] = resolved[index];
+          });
+          const relativePath = generated.key.replace(/^\/+/, '');
+          const content = generated.format === 'js' ?
+            `window.${generated.globalName || 'APP_CONFIG'} = ${JSON.stringify(values, null, 2)};\n` :
+            `${JSON.stringify(values, null, 2)}\n`;
+          const localFile = path.join(tempDir, 'generated', ...relativePath.split('/'));
+          fs.mkdirSync(path.dirname(localFile), { recursive: true });
+          fs.writeFileSync(localFile, content);
+          return {
+            localFile,
+            sourceFile: path.join(localDir, ...relativePath.split('/')),
+            path: relativePath,
+            size: Buffer.byteLength(content),
+            params: generated.params,
+            generated: true
+          };
+        });
+    })
+      .then(files => ({ files, tempDir }))
+      .catch(err => {
+        this.removeTempDir(tempDir);
+        throw err;
+      });
+  }
+
+  getSourceBucket(s) {
+    const source = s.source;
+    const prefix = source.bucketPrefix ? source.bucketPrefix.replace(/\/?$/, '/') : '';
+    if (source.bucketName) {
+      return Promise.resolve({ bucketName: source.bucketName, prefix });
+    }
+    const outputRef = source.bucketNameKey || s.bucketNameKey;
+    if (!outputRef) {
+      return Promise.reject(new this.serverless.classes.Error('Unable to find the source bucket. Please provide a value for source.bucketName or source.bucketNameKey'));
+    }
+    // the output is read from the stack of another stage of this service
+    const stackName = source.stackName || (source.stage ? `${this.serverless.service.service}-${source.stage}` : undefined);
+    return this.resolveOutputRef(outputRef, stackName)
+      .then(bucketName => ({ bucketName, prefix }));
+  }
+
+  listSourceFiles(s, localDir, isIncluded) {
+    return this.getSourceBucket(s)
+      .then(source => this.listBucketObjects(s, source.bucketName, source.prefix)
+        .then((objects) => {
+          const files = objects
+            .filter(object => !object.Key.endsWith('/') && !this.isReleaseKey(s, object.Key))
+            .map((object) => {
+              const relativePath = object.Key.substring(source.prefix.length);
+              // brotli variants get the params and content type of the file they were compressed from
+              const brotli = relativePath.endsWith('.br') && this.getCompression(s, this.getLocalPath(s, relativePath.slice(0, -3))).brotli;
+              const originalPath = this.getLocalPath(s, brotli ? relativePath.slice(0, -3) : relativePath);
+              const gzip = !brotli && this.getCompression(s, originalPath).gzip;
+              return {
+                sourceBucket: source.bucketName,
+                sourceKey: object.Key,
+                eTag: object.ETag,
+                // the path the object would have in localDir, params and filters are matched against it
+                sourceFile: path.join(localDir, ...originalPath.split('/')),
+                path: relativePath,
+                size: object.Size,
+                ...(brotli ? { contentEncoding: 'br' } : {}),
+                ...(gzip ? { contentEncoding: 'gzip' } : {})
+              };
+            })
+            .filter(file => isIncluded(file.sourceFile));
+          return { source, files };
+        }));
+  }
+
+  getCompression(s, relativePath) {
+    const compress = s.compress || {};
+    const matches = globs => Array.isArray(globs) && globs.some(glob => matchesGlob(relativePath, glob));
+    return {
+      gzip: matches(compress.gzip),
+      brotli: matches(compress.brotli)
+    };
+  }
+
+  compressFiles(s, files, tempDir = null) {
+    if (!s.compress) {
+      return { files, tempDir };
+    }
+
+    // compressed copies are written to a temporary directory so that change detection
+    // compares the remote ETag with the compressed bytes
+    tempDir = tempDir || fs.mkdtempSync(path.join(os.tmpdir(), 'serverless-s3-sync-'));
+    const writeTempFile = (relativePath, data) => {
+      const tempFile = path.join(tempDir, 'compressed', relativePath);
+      fs.mkdirSync(path.dirname(tempFile), { recursive: true });
+      fs.writeFileSync(tempFile, data);
+      return tempFile;
+    };
+
+    const compressed = [];
+    files.forEach((file) => {
+      const { gzip, brotli } = this.getCompression(s, file.path);
+      if (!gzip && !brotli) {
+        compressed.push(file);
+        return;
+      }
+      const content = fs.readFileSync(file.localFile);
+      if (gzip) {
+        const data = zlib.gzipSync(content, { level: s.compress.level || 9 });
+        compressed.push({ ...file, localFile: writeTempFile(file.path, data), size: data.length, contentEncoding: 'gzip' });
+      } else {
+        compressed.push(file);
+      }
+      if (brotli) {
+        // the brotli variant is uploaded next to the original, as `<key>.br`
+        const data = zlib.brotliCompressSync(content, {
+          params: { [zlib.constants.BROTLI_PARAM_QUALITY]: s.compress.brotliQuality || zlib.constants.BROTLI_MAX_QUALITY }
+        });
+        compressed.push({
+          ...file,
+          localFile: writeTempFile(`${file.path}.br`, data),
+          path: `${file.path}.br`,
+          size: data.length,
+          contentEncoding: 'br'
+        });
+      }
+    });
+    return { files: compressed, tempDir };
+  }
+
+  removeTempDir(tempDir) {
+    if (tempDir) {
+      (fs.rmSync || fs.rmdirSync)(tempDir, { recursive: true, force: true });
+    }
+  }
+
+  applyBucketSync(s, plan, onProgress) {
+    const client = this.client(s);
+    const getTagging = (upload) => {
+      const tagging = s.objectTags ? this.getTagging(this.getObjectTags(s, plan.localDir, upload.sourceFile)) : '';
+      return tagging ? { Tagging: tagging } : {};
+    };
+    const progressTotal = plan.uploads.reduce((total, upload) => total + upload.size, 0);
+    let progressAmount = 0;
+    const reportProgress = () => {
+      if (progressTotal === 0) {
+        return;
+      }
+      onProgress(Math.round((progressAmount / progressTotal) * 10) * 10);
+    };
+
+    // each phase of uploadOrder completes before the next one starts
+    const phases = plan.uploadOrder ? groupByPhase(plan.uploads, plan.uploadOrder, upload => this.getLocalPath(s, upload.path)) : [plan.uploads];
+    return BbPromise.each(phases, phase => BbPromise.map(phase, (upload) => {
+      if (upload.sourceKey) {
+        // promoted objects are copied server side, with this entry's params and acl
+        const uploadParams = this.getUploadParams(plan, upload);
+        const sourceETag = upload.eTag.replace(/"/g, '');
+        if (sourceETag.includes('-')) {
+          uploadParams.Metadata = { ...uploadParams.Metadata, [SOURCE_ETAG]: sourceETag };
+        }
+        return this.s3Request(s, { operation: 'copy', bucket: plan.bucketName, key: upload.key }, () => client.s3.copyObject({
+          Bucket: plan.bucketName,
+          ACL: plan.acl,
+          ...uploadParams,
+          ...getTagging(upload),
+          ...(s.objectTags ? { TaggingDirective: 'REPLACE' } : {}),
+          Key: upload.key,
+          CopySource: encodeSpecialCharacters(`${upload.sourceBucket}/${upload.sourceKey}`),
+          MetadataDirective: 'REPLACE'
+        }).promise())
+          .then(() => {
+            progressAmount += upload.size;
+            reportProgress();
+          });
+      }
+      return this.s3Request(s, { operation: 'upload', bucket: plan.bucketName, key: upload.key }, () => new Promise((resolve, reject) => {
+        const params = {
+          localFile: upload.localFile,
+          s3Params: {
+            Bucket: plan.bucketName,
+            ACL: plan.acl,
+            ...this.getUploadParams(plan, upload),
+            ...getTagging(upload),
+            Key: upload.key
+          }
+        };
+        if (typeof(plan.defaultContentType) != 'undefined') {
+          Object.assign(params, {defaultContentType: plan.defaultContentType})
+        }
+        let prevAmountDone = 0;
+        const uploader = client.uploadFile(params);
+        uploader.on('error', (err) => {
+          // a retry uploads the whole file again
+          progressAmount -= prevAmountDone;
+          reject(err);
+        });
+        uploader.on('progress', () => {
+          progressAmount += uploader.progressAmount - prevAmountDone;
+          prevAmountDone = uploader.progressAmount;
+          reportProgress();
+        });
+        uploader.on('end', () => resolve('done'));
+      }));
+    }, { concurrency: this.getS3Options(s).maxAsyncS3 }))
+      .then(() => this.waitBeforeDeleting(plan.deleteDelay, plan.deletes.length))
+      .then(() => this.deleteKeys(s, plan.bucketName, plan.deletes.map(object => object.key)));
+  }
+
+  getUploadParams(plan, upload) {
+    // same content type the metadata sync would set, so it does not need to copy the object again
+    const contentType = mime.getType(upload.sourceFile) || plan.defaultContentType;
+    return {
+      ...(contentType ? { ContentType: contentType } : {}),
+      ...upload.s3Params,
+      ...(upload.contentEncoding ? { ContentEncoding: upload.contentEncoding } : {})
+    };
+  }
+
+  waitBeforeDeleting(deleteDelay, count) {
+    if (!deleteDelay || count === 0) {
+      return BbPromise.resolve();
+    }
+    this.log.verbose(`Waiting ${deleteDelay}s before deleting ${count} removed files`);
+    return BbPromise.delay(deleteDelay * 1000);
+  }
+
+  deleteKeys(s, bucketName, keys) {
+    // keys are strings, or { Key, VersionId } to delete a specific version
+    const objects = keys.map(key => (typeof key == 'string' ? { Key: key } : key));
+    const client = this.client(s);
+    const chunks = [];
+    for (let i = 0; i < objects.length; i += s3.MAX_DELETE_COUNT) {
+      chunks.push(objects.slice(i, i + s3.MAX_DELETE_COUNT));
+    }
+    return BbPromise.each(chunks, (chunk) => {
+      return this.s3Request(s, { operation: 'delete', bucket: bucketName, key: chunk.length === 1 ? chunk[0].Key : undefined }, () => client.s3.deleteObjects({
+        Bucket: bucketName,
+        Delete: {
+          Objects: chunk,
+          Quiet: true
+        }
+      }).promise()
+        .then((data) => {
+          // keys that could not be deleted are reported in the response instead of failing the request
+          if (data.Errors && data.Errors.length > 0) {
+            const failure = data.Errors[0];
+            throw Object.assign(new Error(failure.Message), { code: failure.Code, failedKey: failure.Key });
+          }
+        }));
+    });
+  }
+
+  getS3Params(s, localDir, localFile) {
+    const resolved = this.resolveFileParams(s, localDir, localFile);
+    return resolved.skip ? null : resolved.params;
+  }
+
+  getCliParams() {
+    // `--param key=value`, the only way to pass custom values the Serverless CLI accepts
+    return [].concat(this.options.param || []).reduce((params, param) => {
+      const index = param.indexOf('=');
+      if (index > 0) {
+        params[param.substring(0, index).trim()] = param.substring(index + 1).trim();
+      }
+      return params;
+    }, {});
+  }
+
+  resolveFileParams(s, localDir, localFile) {
+    // the same rules apply on upload, in the metadata sync and in `sls s3sync rules`
+    const provider = this.serverless.getProvider('aws');
+    return resolveParams(s.params, toS3Path(path.relative(localDir, localFile)), {
+      stage: provider.getStage(),
+      region: provider.getRegion(),
+      params: this.getCliParams(),
+      options: this.options
+    });
+  }
+
+  getFileS3Params(s, localDir, file) {
+    // generated files are always uploaded, their own params win over matching rules
+    const s3Params = this.getS3Params(s, localDir, file.sourceFile);
+    if (!file.generated) {
+      return s3Params;
+    }
+    return Object.assign({}, s3Params, file.params);
+  }
+
+  clear(invokedAsCommand) {
+    const s3Sync = this.getBucketConfigs();
+    if (!s3Sync) {
+      this.log.notice(`No configuration found for serverless-s3-sync, skipping removal...`);
+      return Promise.resolve();
+    }
+
+    const taskProgress = this.progress.create({ message: 'Removing objects from S3 buckets' });
+
+    const promises = s3Sync.map((s) => {
+      let bucketPrefix = '';
+      if (s.hasOwnProperty('bucketPrefix')) {
+        bucketPrefix = s.bucketPrefix;
+      }
+      if (s.hasOwnProperty('enabled') && s.enabled === false) {
+        return;
+      }
+      // releases live outside of the bucket prefix and are removed as well
+      const prefixes = [bucketPrefix];
+      if (s.releases) {
+        prefixes.push(this.getReleaseConfig(s).prefix);
+      }
+      return this.reportStep(s, 'clear', () => this.getBucketName(s)
+        .then(bucketName => this.checkReleasePrefix(s, bucketName).then(() => bucketName))
+        .then(bucketName => {
+          if (this.options.bucket && bucketName != this.options.bucket) {
+            return null;
+          }
+          const report = this.getReport(s, bucketName);
+          const recordDeleted = (objects) => {
+            report.deleted.push(...objects.map(object => object.Key));
+            report.bytesDeleted += objects.reduce((total, object) => total + (object.Size || 0), 0);
+          };
+          return BbPromise.each(prefixes, (prefix) => {
+            const removal = prefix === bucketPrefix && this.hasFileFilter(s) ?
+              this.clearIncludedKeys(s, bucketName) :
+              this.clearPrefix(s, bucketName, prefix);
+            return removal.then(recordDeleted);
+          }).then(() => {
+            const release = s.releases && this.getReleaseConfig(s);
+            if (release && !release.pointerKey.startsWith(release.prefix)) {
+              return this.clearPrefix(s, bucketName, release.pointerKey, key => key === release.pointerKey)
+                .then(recordDeleted);
+            }
+          });
+        }));
+    });
+    return this.allSettled(promises)
+      .then(() => {
+        if (invokedAsCommand) {
+          this.log.success('Removed objects from S3 buckets');
+        } else {
+          this.log.verbose('Removed objects from S3 buckets');
+        }
+      })
+      .finally(() => {
+        taskProgress.remove();
+        this.writeReport();
+      });
+  }
+
+  clearPrefix(s, bucketName, prefix, isIncluded) {
+    if (s.purgeVersions || this.options['all-versions']) {
+      return this.clearVersions(s, bucketName, prefix, isIncluded);
+    }
+    const bucketProgress = this.progress.create({ message: `${bucketName}: removing files with prefix ${prefix}` });
+    return this.listBucketObjects(s, bucketName, prefix)
+      .then(objects => {
+        const deletes = objects.filter(object => !this.isPreserved(s, object.Key) && (!isIncluded || isIncluded(object.Key)));
+        return this.deleteKeys(s, bucketName, deletes.map(object => object.Key))
+          .then(() => deletes);
+      })
+      .finally(() => {
+        bucketProgress.remove();
+      });
+  }
+
+  clearVersions(s, bucketName, prefix, isIncluded) {
+    // a versioned bucket keeps noncurrent versions and delete markers after a plain delete,
+    // and CloudFormation cannot remove it until they are gone as well
+    const client = this.client(s);
+    const deleted = [];
+    const getProgressMessage = () => `${bucketName}: removing all versions with prefix ${prefix} (${deleted.length} removed)`;
+    const bucketProgress = this.progress.create({ message: getProgressMessage() });
+    const clearPage = (markers) => this.s3Request(s, { operation: 'list versions of', bucket: bucketName, key: prefix },
+      () => client.s3.listObjectVersions({ Bucket: bucketName, Prefix: prefix, ...markers }).promise())
+      .then((data) => {
+        const versions = (data.Versions || []).concat(data.DeleteMarkers || [])
+          .filter(version => !this.isPreserved(s, version.Key) && (!isIncluded || isIncluded(version.Key)));
+        return this.deleteKeys(s, bucketName, versions.map(version => ({ Key: version.Key, VersionId: version.VersionId })))
+          .then(() => {
+            deleted.push(...versions);
+            bucketProgress.update(getProgressMessage());
+            if (data.IsTruncated) {
+              return clearPage({ KeyMarker: data.NextKeyMarker, VersionIdMarker: data.NextVersionIdMarker });
+            }
+          });
+      });
+    return clearPage({})
+      .then(() => deleted)
+      .finally(() => {
+        bucketProgress.remove();
+      });
+  }
+
+  clearIncludedKeys(s, bucketName) {
+    // only remove the keys that include/exclude rules let sync manage
+    const localDir = [this.servicePath, s.localDir].join('/');
+    const prefix = s.bucketPrefix ? s.bucketPrefix.replace(/\/?$/, '/') : '';
+    const isIncluded = this.getFileFilter(s, localDir);
+    return this.clearPrefix(s, bucketName, prefix, key => isIncluded(path.join(localDir, this.getLocalPath(s, key.substring(prefix.length)))));
+  }
+
+  syncMetadata(invokedAsCommand) {
+    const s3Sync = this.getBucketConfigs();
+    if (!s3Sync) {
+      this.log.error('serverless-s3-sync requires at least one configuration entry in custom.s3Sync');
+      return Promise.resolve();
+    }
+
+    const taskProgress = this.progress.create({ message: 'Syncing bucket metadata' });
+
+    let changed = 0;
+    let skipped = 0;
+    const promises = s3Sync.map( async (s) => {
+      if (s.hasOwnProperty('enabled') && s.enabled === false) {
+        return null;
+      }
+      let acl = 'private';
+      if (s.hasOwnProperty('acl')) {
+        acl = s.acl;
+      }
+      return this.reportStep(s, 'metadata', () => this.getBucketName(s)
+        .then(bucketName => {
+          if (this.options && this.options.bucket && bucketName != this.options.bucket) {
+            // if the bucket option is given, that means we're in the subcommand where we're
+            // only syncing one bucket, so only continue if this bucket name matches
+            return null;
+          }
+
+          const report = this.getReport(s, bucketName);
+          const bucketProgress = this.progress.create({ message: `${s.localDir}: comparing bucket metadata with ${bucketName}` })
+
+          return this.planBucketMetadata(s, bucketName)
+            .then(({ localDir, bucketDir, files: filesToSync, skipped: skippedKeys }) => {
+              let percent = 0;
+              const getProgressMessage = () => `${localDir}: sync bucket metadata to ${bucketDir} (${percent}%)`
+              bucketProgress.update(getProgressMessage());
+              changed += filesToSync.length;
+              skipped += skippedKeys.length;
+
+              return BbPromise.map(filesToSync, (file, index) => {
+                let params = {
+                  ...file.params,
+                  ...(file.sourceETag ? { Metadata: { ...file.params.Metadata, [SOURCE_ETAG]: file.sourceETag } } : {}),
+                  ...{
+                    CopySource: encodeSpecialCharacters(`${bucketName}/${file.key}`),
+                    Key: encodeSpecialCharacters(file.key),
+                    Bucket: bucketName,
+                    ACL: acl,
+                    MetadataDirective: 'REPLACE'
+                  }
+                };
+                return this.s3Request(s, { operation: 'copy', bucket: bucketName, key: file.key }, () => new Promise((resolve, reject) => {
+                  const uploader = this.client(s).copyObject(params);
+                  uploader.on('error', reject);
+                  uploader.on('end', () => resolve('done'));
+                }))
+                  .then(() => {
+                    this.recordChangedKeys(s, [file.key]);
+                    report.metadataUpdated.push(file.key);
+                    const current = Math.round((index / filesToSync.length) * 10) * 10;
+                    if (current > percent) {
+                      percent = current;
+                      bucketProgress.update(getProgressMessage())
+                    }
+                  });
+              }, { concurrency: this.getS3Options(s).maxAsyncS3 });
+            })
+            .finally(() => {
+              bucketProgress.remove();
+            });
+        }));
+    });
+    return this.allSettled(promises)
+      .then(() => {
+        const message = `Synced bucket metadata (${changed} updated, ${skipped} unchanged)`;
+        if (invokedAsCommand) {
+          this.log.success(message);
+        } else {
+          this.log.verbose(message);
+        }
+      })
+      .finally(() => {
+        taskProgress.remove();
+        this.writeReport();
+      });
+  }
+
+  async planBucketMetadata(s, bucketName, uploadedParams) {
+    let bucketPrefix = '';
+    if (s.hasOwnProperty('bucketPrefix') && s.bucketPrefix.length > 0) {
+      bucketPrefix = s.bucketPrefix.replace(/\/?$/, '').replace(/^\/?/, '/')
+    }
+    const localDir = path.join(this.servicePath, s.localDir || '');
+    const bucketDir = `${bucketName}${bucketPrefix == '' ? '' : bucketPrefix}/`;
+    const keyPrefix = bucketPrefix ? bucketPrefix.replace(/^\//, '') + '/' : '';
+
+    const localFiles = await this.listManagedFiles(s, localDir);
+    let filesToSync = [];
+    // in pointer mode nothing is written to the live prefix and releases are uploaded with their params already
+    const pointerRelease = s.releases && this.getReleaseConfig(s).activate === 'pointer';
+    if(Array.isArray(s.params) && !pointerRelease) {
+      localFiles.forEach((localFile) => {
+        const resolved = this.resolveFileParams(s, localDir, localFile);
+        // files without any applied rule keep the metadata they were uploaded with
+        if (!resolved.skip && resolved.rules.some(rule => !rule.mismatch)) {
+          filesToSync.push({ name: localFile, params: resolved.params });
+        }
+      });
+    }
+    // with cleanUrls a file may be uploaded under more than one key
+    const keys = new Set();
+    filesToSync = filesToSync.reduce((expanded, file) => {
+      this.getCleanUrlPaths(s, toS3Path(path.relative(localDir, file.name))).forEach((remotePath, index) => {
+        const key = keyPrefix + remotePath;
+        if (!keys.has(key)) {
+          keys.add(key);
+          expanded.push({ name: file.name, key, params: { ...file.params }, indexCopy: index > 0 });
+        }
+      });
+      return expanded;
+    }, []);
+    filesToSync.forEach((file) => {
+      let detectedContentType = mime.getType(file.name)
+      if (detectedContentType !== null || s.hasOwnProperty('defaultContentType')) {
+        file.params = { ContentType: detectedContentType ? detectedContentType : s.defaultContentType, ...file.params };
+      }
+    });
+    // compressed objects keep their Content-Encoding, brotli variants get the same params as the original
+    filesToSync.slice().forEach((file) => {
+      const { gzip, brotli } = this.getCompression(s, toS3Path(path.relative(localDir, file.name)));
+      if (brotli && !file.indexCopy) {
+        filesToSync.push({ name: file.name, key: `${file.key}.br`, params: { ...file.params, ContentEncoding: 'br' } });
+      }
+      if (gzip) {
+        file.params.ContentEncoding = 'gzip';
+      }
+    });
+
+    // only copy objects whose metadata actually differs: keys uploaded by this sync are compared
+    // with the params they were uploaded with, the others with a HEAD request
+    const uploaded = uploadedParams || this.uploadedParams.get(s) || new Map();
+    const client = this.client(s);
+    const skipped = [];
+    return BbPromise.map(filesToSync, (file) => {
+      if (uploaded.has(file.key)) {
+        return !metadataDiffers(file.params, uploaded.get(file.key));
+      }
+      return this.s3Request(s, { operation: 'read metadata of', bucket: bucketName, key: file.key },
+        () => client.s3.headObject({ Bucket: bucketName, Key: file.key }).promise())
+        .then((head) => {
+          // a metadata copy keeps the source ETag of a promoted object
+          const sourceETag = (head.Metadata || {})[SOURCE_ETAG];
+          if (sourceETag) {
+            file.sourceETag = sourceETag;
+          }
+          return !metadataDiffers(file.params, withoutSourceETag(head));
+        })
+        .catch(err => {
+          // nothing to update on an object that is not there
+          if (err.code === 'NotFound' || err.code === 'NoSuchKey') {
+            return true;
+          }
+          throw err;
+        });
+    }, { concurrency: this.getS3Options(s).maxAsyncS3 })
+      .then((unchanged) => {
+        const files = filesToSync.filter((file, index) => {
+          if (unchanged[index]) {
+            skipped.push(file.key);
+          }
+          return !unchanged[index];
+        });
+        return { localDir, bucketDir, files, skipped };
+      });
+  }
+
+  listManagedFiles(s, localDir) {
+    // the files of localDir, or the paths objects of the source bucket would have in it
+    const isIncluded = this.getFileFilter(s, localDir);
+    if (s.source) {
+      return this.listSourceFiles(s, localDir, isIncluded)
+        .then(({ files }) => files
+          .filter(file => file.contentEncoding !== 'br')
+          .map(file => file.sourceFile));
+    }
+    if (s.sources) {
+      return BbPromise.try(() => this.listSourcesFiles(s, localDir, s.followSymlinks, isIncluded).map(file => file.sourceFile));
+    }
+    return BbPromise.resolve(this.getLocalFiles(localDir, [], undefined, isIncluded));
+  }
+
+  getObjectTags(s, localDir, localFile) {
+    const tags = {};
+    if (Array.isArray(s.objectTags)) {
+      s.objectTags.forEach((rule) => {
+        const glob = Object.keys(rule)[0];
+        if (matchesGlob(toS3Path(path.relative(localDir, localFile)), glob)) {
+          Object.assign(tags, this.extractMetaParams(rule));
+        }
+      });
+    }
+    return tags;
+  }
+
+  getTagging(tags) {
+    return Object.keys(tags)
+      .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(tags[key])}`)
+      .join('&');
+  }
+
+  syncObjectTags(invokedAsCommand) {
+    const s3Sync = this.getBucketConfigs();
+    if (!s3Sync) {
+      this.log.error('serverless-s3-sync requires at least one configuration entry in custom.s3Sync');
+      return Promise.resolve();
+    }
+
+    const taskProgress = this.progress.create({ message: 'Updating object tags' });
+
+    let changed = 0;
+    const promises = s3Sync.map((s) => {
+      if ((s.hasOwnProperty('enabled') && s.enabled === false) || !s.objectTags) {
+        return null;
+      }
+      return this.reportStep(s, 'objectTags', () => this.getBucketName(s)
+        .then(bucketName => {
+          if (this.options && this.options.bucket && bucketName != this.options.bucket) {
+            return null;
+          }
+          const report = this.getReport(s, bucketName);
+          const bucketProgress = this.progress.create({ message: `${bucketName}: comparing object tags` });
+          const uploadedKeys = new Set((this.uploadedParams.get(s) || new Map()).keys());
+          return this.planObjectTags(s, bucketName, uploadedKeys)
+            .then(({ changes }) => {
+              changed += changes.length;
+              const client = this.client(s);
+              return BbPromise.map(changes, change => this.s3Request(s, { operation: 'tag', bucket: bucketName, key: change.key },
+                () => client.s3.putObjectTagging({
+                  Bucket: bucketName,
+                  Key: change.key,
+                  Tagging: {
+                    TagSet: Object.keys(change.tags).map(key => ({ Key: key, Value: String(change.tags[key]) }))
+                  }
+                }).promise())
+                .then(() => {
+                  report.objectTagsUpdated.push(change.key);
+                }), { concurrency: this.getS3Options(s).maxAsyncS3 });
+            })
+            .finally(() => {
+              bucketProgress.remove();
+            });
+        }));
+    });
+    return this.allSettled(promises)
+      .then(() => {
+        const message = `Updated object tags (${changed} updated)`;
+        if (invokedAsCommand) {
+          this.log.success(message);
+        } else {
+          this.log.verbose(message);
+        }
+      })
+      .finally(() => {
+        taskProgress.remove();
+        this.writeReport();
+      });
+  }
+
+  planObjectTags(s, bucketName, uploadedKeys) {
+    // objects uploaded by this sync were tagged on upload, in pointer mode only releases are written
+    if (!s.objectTags || (s.releases && this.getReleaseConfig(s).activate === 'pointer')) {
+      return BbPromise.resolve({ changes: [] });
+    }
+    const localDir = path.join(this.servicePath, s.localDir || '');
+    const prefix = s.bucketPrefix ? s.bucketPrefix.replace(/\/?$/, '/') : '';
+    const client = this.client(s);
+    return this.listManagedFiles(s, localDir)
+      .then(localFiles => {
+        const objects = new Map();
+        localFiles.forEach((localFile) => {
+          const relativePath = toS3Path(path.relative(localDir, localFile));
+          const tags = this.getObjectTags(s, localDir, localFile);
+          const [remotePath, indexPath] = this.getCleanUrlPaths(s, relativePath);
+          objects.set(prefix + remotePath, { key: prefix + remotePath, tags });
+          if (indexPath && !objects.has(prefix + indexPath)) {
+            objects.set(prefix + indexPath, { key: prefix + indexPath, tags });
+          }
+          if (this.getCompression(s, relativePath).brotli) {
+            objects.set(`${prefix}${remotePath}.br`, { key: `${prefix}${remotePath}.br`, tags });
+          }
+        });
+        return BbPromise.map(Array.from(objects.values()).filter(object => !uploadedKeys.has(object.key)), (object) => {
+          return this.s3Request(s, { operation: 'read tags of', bucket: bucketName, key: object.key },
+            () => client.s3.getObjectTagging({ Bucket: bucketName, Key: object.key }).promise())
+            .then((data) => {
+              const previous = {};
+              data.TagSet.forEach(tag => {
+                previous[tag.Key] = tag.Value;
+              });
+              const differs = Object.keys(previous).length !== Object.keys(object.tags).length ||
+                Object.keys(object.tags).some(key => previous[key] !== String(object.tags[key]));
+              return differs ? Object.assign(object, { previous }) : null;
+            })
+            .catch(err => {
+              // nothing to tag when the object is not there
+              if (err.code === 'NoSuchKey' || err.code === 'NotFound') {
+                return null;
+              }
+              throw err;
+            });
+        }, { concurrency: this.getS3Options(s).maxAsyncS3 });
+      })
+      .then(changes => ({ changes: changes.filter(Boolean) }));
+  }
+
+  syncBucketTags(invokedAsCommand) {
+    const s3Sync = this.getBucketConfigs();
+    if (!s3Sync) {
+      this.log.error('serverless-s3-sync requires at least one configuration entry in custom.s3Sync');
+      return Promise.resolve();
+    }
+
+    const taskProgress = this.progress.create({ message: 'Updating bucket tags' });
+
+    const promises = s3Sync.map( async (s) => {
+      if (s.hasOwnProperty('enabled') && s.enabled === false) {
+        return null;
+      }
+      if (!s.bucketTags) {
+        // bucket tags not configured for this bucket, skip it
+        // so we don't require additional s3:getBucketTagging permissions
+        return null;
+      }
+
+      return this.reportStep(s, 'bucketTags', () => this.getBucketName(s)
+        .then(bucketName => {
+          if (this.options && this.options.bucket && bucketName != this.options.bucket) {
+            // if the bucket option is given, that means we're in the subcommand where we're
+            // only syncing one bucket, so only continue if this bucket name matches
+            return null;
+          }
+
+          const report = this.getReport(s, bucketName);
+          const bucketProgress = this.progress.create({ message: `${bucketName}: sync bucket tags` })
+
+          // AWS.S3 does not have an option to append tags to a bucket, it can only rewrite the whole set of tags
+          // To avoid removing system tags set by other tools, we read the existing tags, merge our tags in the list
+          // and then write them all back
+          return this.planBucketTags(s, bucketName)
+            .then(({ tagSet, changes }) => {
+              const putParams = {
+                Bucket: bucketName,
+                Tagging: {
+                  TagSet: tagSet
+                }
+              };
+              return this.s3Request(s, { operation: 'tag', bucket: bucketName },
+                () => this.client(s).s3.putBucketTagging(putParams).promise())
+                .then(() => {
+                  report.tagsUpdated.push(...changes.map(change => change.Key));
+                });
+            })
+            .finally(() => {
+              bucketProgress.remove();
+            });
+
+        }));
+    });
+    return this.allSettled(promises)
+      .then(() => {
+        if (invokedAsCommand) {
+          this.log.success('Updated bucket tags');
+        } else {
+          this.log.verbose('Updated bucket tags');
+        }
+      })
+      .finally(() => {
+        taskProgress.remove();
+        this.writeReport();
+      });
+  }
+
+  planBucketTags(s, bucketName) {
+    // convert the tag key/value pairs into a TagSet structure for the putBucketTagging command
+    const tagsToUpdate = Object.keys(s.bucketTags).map(tagKey => ({
+      Key: tagKey,
+      Value: s.bucketTags[tagKey]
+    }));
+
+    return this.s3Request(s, { operation: 'read tags of', bucket: bucketName },
+      () => this.client(s).s3.getBucketTagging({ Bucket: bucketName }).promise())
+      .then(data => data.TagSet)
+      .catch(err => {
+        // a bucket without any tags answers with NoSuchTagSet instead of an empty set
+        if (err.code === 'NoSuchTagSet') {
+          return [];
+        }
+        throw err;
+      })
+      .then(existingTagSet => {
+        const changes = tagsToUpdate
+          .map(tag => {
+            const existingTag = existingTagSet.find(et => et.Key === tag.Key);
+            return { Key: tag.Key, Value: tag.Value, PreviousValue: existingTag ? existingTag.Value : undefined };
+          })
+          .filter(change => change.PreviousValue !== String(change.Value));
+        this.mergeTags(existingTagSet, tagsToUpdate);
+        return { tagSet: existingTagSet, changes };
+      });
+  }
+
+  getReleaseConfig(s) {
+    // by default every bucket prefix keeps its releases apart, under releases/<bucketPrefix>/,
+    // the releases of the bucket root get a segment of their own so they cannot contain the others
+    const bucketPrefix = (s.bucketPrefix || '').replace(/^\/+/, '');
+    const defaultPrefix = `releases/${bucketPrefix || '_root'}`;
+    const prefix = (s.releases.prefix || defaultPrefix).replace(/^\/+/, '').replace(/\/?$/, '/');
+    return {
+      prefix,
+      keep: s.releases.keep || 5,
+      activate: s.releases.activate || 'copy',
+      pointerKey: s.releases.pointerKey || `${prefix}current.json`
+    };
+  }
+
+  getReleaseId() {
+    // one id for every bucket entry synced by this command, sortable by time
+    if (!this.releaseId) {
+      this.releaseId = new Date().toISOString().replace(/\D/g, '').slice(0, 14);
+    }
+    return this.releaseId;
+  }
+
+  checkReleasePrefix(s, bucketName) {
+    // entries sharing release prefixes would copy, prune and clear each other's releases
+    if (!s.releases) {
+      return BbPromise.resolve();
+    }
+    const prefix = this.getReleaseConfig(s).prefix;
+    const selected = this.getBucketConfigs();
+    const others = this.getBucketConfigs(true)
+      .filter(other => other !== s && other.releases && !(other.hasOwnProperty('enabled') && other.enabled === false));
+    // entries left out with --only or --skip read no stack output, they are compared by the
+    // bucket they configure
+    const getOtherBucketName = (other) => {
+      if (selected.includes(other) || other.bucketName) {
+        return this.getBucketName(other);
+      }
+      return BbPromise.resolve(this.isSameOutputRef(other.bucketNameKey, s.bucketNameKey) ? bucketName : null);
+    };
+    // entries whose bucket name cannot be resolved fail on their own
+    return BbPromise.each(others, other => BbPromise.resolve(getOtherBucketName(other)).reflect().then((result) => {
+      const otherPrefix = this.getReleaseConfig(other).prefix;
+      if (result.isFulfilled() && result.value() === bucketName && (otherPrefix.startsWith(prefix) || prefix.startsWith(otherPrefix))) {
+        throw new this.serverless.classes.Error(`Releases of s3://${bucketName}/${prefix} overlap with the releases of another entry in s3://${bucketName}/${otherPrefix}, set a distinct releases.prefix on each entry`);
+      }
+    }));
+  }
+
+  isReleaseKey(s, key) {
+    if (!s.releases) {
+      return false;
+    }
+    const release = this.getReleaseConfig(s);
+    return key.startsWith(release.prefix) || key === release.pointerKey;
+  }
+
+  isPreserved(s, key) {
+    // keys other systems write into the synced prefix, never deleted by sync or clear
+    const prefix = s.bucketPrefix ? s.bucketPrefix.replace(/\/?$/, '/') : '';
+    if (!Array.isArray(s.preserve) || !key.startsWith(prefix)) {
+      return false;
+    }
+    const relativePath = key.substring(prefix.length);
+    return s.preserve.some(glob => matchesGlob(relativePath, glob));
+  }
+
+  checkDeletes(s, plan) {
+    // returns why the plan must not be applied without --s3sync-force, or null
+    if (plan.fileCount === 0) {
+      return plan.source ?
+        `No objects to copy from s3://${plan.source.bucketName}/${plan.source.prefix}, refusing to sync s3://${plan.bucketName}/${plan.bucketPrefix}` :
+        `No files to sync in ${plan.localDir}, refusing to sync s3://${plan.bucketName}/${plan.bucketPrefix}`;
+    }
+    if (!s.hasOwnProperty('maxDeletes')) {
+      return null;
+    }
+    const deleteCount = plan.release ? plan.release.activation.deletes.length : plan.deletes.length;
+    const percentage = typeof s.maxDeletes === 'string' ? parseFloat(s.maxDeletes) : null;
+    const maxDeletes = percentage === null ? s.maxDeletes : Math.floor(plan.objectCount * percentage / 100);
+    if (deleteCount <= maxDeletes) {
+      return null;
+    }
+    const limit = percentage === null ? maxDeletes : `${s.maxDeletes} of ${plan.objectCount} objects`;
+    return `${deleteCount} objects would be deleted from s3://${plan.bucketName}/${plan.bucketPrefix}, more than maxDeletes (${limit})`;
+  }
+
+  listReleaseIds(s, bucketName, release) {
+    const client = this.client(s);
+    const releaseIds = [];
+    const list = (continuationToken) => this.s3Request(s, { operation: 'list', bucket: bucketName, key: release.prefix }, () => client.s3.listObjectsV2({
+      Bucket: bucketName,
+      Prefix: release.prefix,
+      Delimiter: '/',
+      ContinuationToken: continuationToken
+    }).promise())
+      .then(data => {
+        data.CommonPrefixes.forEach(commonPrefix => {
+          releaseIds.push(commonPrefix.Prefix.substring(release.prefix.length).replace(/\/$/, ''));
+        });
+        return data.IsTruncated ? list(data.NextContinuationToken) : releaseIds.sort();
+      });
+    return list();
+  }
+
+  readReleasePointer(s, bucketName, release) {
+    return this.s3Request(s, { operation: 'download', bucket: bucketName, key: release.pointerKey },
+      () => this.client(s).s3.getObject({ Bucket: bucketName, Key: release.pointerKey }).promise())
+      .then(data => JSON.parse(data.Body.toString()).release)
+      .catch(err => {
+        if (err.code === 'NoSuchKey') {
+          return null;
+        }
+        throw err;
+      });
+  }
+
+  writeReleasePointer(s, bucketName, releaseId) {
+    const release = this.getReleaseConfig(s);
+    return this.s3Request(s, { operation: 'upload', bucket: bucketName, key: release.pointerKey }, () => this.client(s).s3.putObject({
+      Bucket: bucketName,
+      Key: release.pointerKey,
+      Body: JSON.stringify({ release: releaseId, prefix: `${release.prefix}${releaseId}/` }),
+      ContentType: 'application/json',
+      CacheControl: 'no-cache',
+      ACL: s.hasOwnProperty('acl') ? s.acl : 'private'
+    }).promise());
+  }
+
+  activateRelease(s, bucketName, releaseId) {
+    const client = this.client(s);
+    const release = this.getReleaseConfig(s);
+    const releasePrefix = `${release.prefix}${releaseId}/`;
+    const livePrefix = s.bucketPrefix ? s.bucketPrefix.replace(/\/?$/, '/') : '';
+    const deleteRemoved = s.hasOwnProperty('deleteRemoved') ? s.deleteRemoved : true;
+
+    return BbPromise.all([
+      this.listBucketObjects(s, bucketName, releasePrefix),
+      release.activate === 'copy' ? this.listBucketObjects(s, bucketName, livePrefix) : [],
+      release.activate === 'copy' ? this.getRetainedKeys(s, bucketName, releaseId) : new Set()
+    ])
+      .then(([releaseObjects, liveObjects, retainedKeys]) => {
+        if (releaseObjects.length === 0) {
+          throw new this.serverless.classes.Error(`Release ${releaseId} not found in s3://${bucketName}/${releasePrefix}`);
+        }
+        if (release.activate === 'pointer') {
+          return this.writeReleasePointer(s, bucketName, releaseId).then(() => [release.pointerKey]);
+        }
+
+        const live = new Map(liveObjects
+          .filter(object => !this.isReleaseKey(s, object.Key))
+          .map(object => [object.Key, object]));
+        const copies = [];
+        releaseObjects.forEach(object => {
+          const copyPath = object.Key.substring(releasePrefix.length);
+          const key = livePrefix + copyPath;
+          const liveObject = live.get(key);
+          live.delete(key);
+          if (!liveObject || liveObject.ETag !== object.ETag) {
+            copies.push({ source: object.Key, key, path: copyPath });
+          }
+        });
+        const localDir = [this.servicePath, s.localDir].join('/');
+        const isIncluded = this.getFileFilter(s, localDir);
+        const deletes = !deleteRemoved ? [] : Array.from(live.keys())
+          .filter(key => !retainedKeys.has(key) && !this.isPreserved(s, key) &&
+            isIncluded(path.join(localDir, this.getLocalPath(s, key.substring(livePrefix.length)))));
+
+        // HTML entry points go live last by default so they never reference assets that are not
+        // copied yet, and removed files are only deleted once everything else is in place
+        const isEntryPoint = copy => /\.html?$/.test(this.getLocalPath(s, copy.path));
+        const phases = s.uploadOrder ?
+          groupByPhase(copies, s.uploadOrder, copy => this.getLocalPath(s, copy.path)) :
+          [copies.filter(copy => !isEntryPoint(copy)), copies.filter(isEntryPoint)];
+        return BbPromise.each(phases, phase => BbPromise.map(phase, copy => {
+          return this.s3Request(s, { operation: 'copy', bucket: bucketName, key: copy.key }, () => new Promise((resolve, reject) => {
+            const copier = client.copyObject({
+              Bucket: bucketName,
+              CopySource: encodeSpecialCharacters(`${bucketName}/${copy.source}`),
+              Key: copy.key,
+              ACL: s.hasOwnProperty('acl') ? s.acl : 'private',
+              MetadataDirective: 'COPY'
+            });
+            copier.on('error', reject);
+            copier.on('end', () => resolve('done'));
+          }));
+        }, { concurrency: this.getS3Options(s).maxAsyncS3 }))
+          .then(() => this.waitBeforeDeleting(s.deleteDelay, deletes.length))
+          .then(() => this.deleteKeys(s, bucketName, deletes))
+          .then(() => this.writeReleasePointer(s, bucketName, releaseId))
+          .then(() => copies.map(copy => copy.key).concat(deletes));
+      });
+  }
+
+  getRetainedKeys(s, bucketName, releaseId) {
+    // live keys of the previous `deleteKeepReleases` releases are not deleted on activation,
+    // so clients still running an older release can keep loading its hashed assets
+    if (!s.releases || !s.deleteKeepReleases) {
+      return BbPromise.resolve(new Set());
+    }
+    const release = this.getReleaseConfig(s);
+    const livePrefix = s.bucketPrefix ? s.bucketPrefix.replace(/\/?$/, '/') : '';
+    return this.listReleaseIds(s, bucketName, release)
+      .then(releaseIds => {
+        const previous = releaseIds.filter(id => id < releaseId).slice(-s.deleteKeepReleases);
+        return BbPromise.map(previous, id => this.listBucketObjects(s, bucketName, `${release.prefix}${id}/`)
+          .then(objects => objects.map(object => livePrefix + object.Key.substring(`${release.prefix}${id}/`.length))));
+      })
+      .then(keys => new Set([].concat(...keys)));
+  }
+
+  pruneReleases(s, bucketName) {
+    const release = this.getReleaseConfig(s);
+    return BbPromise.all([this.listReleaseIds(s, bucketName, release), this.readReleasePointer(s, bucketName, release)])
+      .then(([releaseIds, activeReleaseId]) => {
+        const pruned = releaseIds
+          .slice(0, Math.max(releaseIds.length - release.keep, 0))
+          .filter(releaseId => releaseId !== activeReleaseId);
+        return BbPromise.each(pruned, releaseId => {
+          return this.listBucketObjects(s, bucketName, `${release.prefix}${releaseId}/`)
+            .then(objects => this.deleteKeys(s, bucketName, objects.map(object => object.Key)));
+        }).then(() => pruned);
+      });
+  }
+
+  listReleases() {
+    const s3Sync = this.getBucketConfigs();
+    if (!s3Sync) {
+      this.log.error('serverless-s3-sync requires at least one configuration entry in custom.s3Sync');
+      return Promise.resolve();
+    }
+
+    const promises = s3Sync.map((s) => {
+      if ((s.hasOwnProperty('enabled') && s.enabled === false) || !s.releases) {
+        return null;
+      }
+      const release = this.getReleaseConfig(s);
+      return this.getBucketName(s)
+        .then(bucketName => {
+          if (this.options.bucket && bucketName != this.options.bucket) {
+            return null;
+          }
+          return BbPromise.all([this.listReleaseIds(s, bucketName, release), this.readReleasePointer(s, bucketName, release)])
+            .then(([releaseIds, activeReleaseId]) => ({ bucketName, release, releaseIds, activeReleaseId }));
+        });
+    });
+    return Promise.all(promises)
+      .then((results) => {
+        results.filter(Boolean).forEach(({ bucketName, release, releaseIds, activeReleaseId }) => {
+          this.log.notice(`s3://${bucketName}/${release.prefix} (${release.activate})`);
+          if (releaseIds.length === 0) {
+            this.log.notice('  no releases');
+          }
+          releaseIds.slice().reverse().forEach(releaseId => {
+            this.log.notice(`  ${releaseId}${releaseId === activeReleaseId ? ' (active)' : ''}`);
+          });
+        });
+      });
+  }
+
+  rollback() {
+    const s3Sync = this.getBucketConfigs();
+    if (!s3Sync) {
+      this.log.error('serverless-s3-sync requires at least one configuration entry in custom.s3Sync');
+      return Promise.resolve();
+    }
+
+    const releaseId = this.options.release;
+    const taskProgress = this.progress.create({ message: `Rolling back S3 buckets to release ${releaseId}` });
+
+    const promises = s3Sync.map((s) => {
+      if ((s.hasOwnProperty('enabled') && s.enabled === false) || !s.releases) {
+        return null;
+      }
+      return this.getBucketName(s)
+        .then(bucketName => {
+          if (this.options.bucket && bucketName != this.options.bucket) {
+            return null;
+          }
+          const bucketProgress = this.progress.create({ message: `${bucketName}: activating release ${releaseId}` });
+          return this.activateRelease(s, bucketName, releaseId)
+            .then(changedKeys => {
+              this.recordChangedKeys(s, changedKeys);
+            })
+            .finally(() => {
+              bucketProgress.remove();
+            });
         });
+    });
+    return Promise.all(promises)
+      .then(() => {
+        this.log.success(`Rolled back S3 buckets to release ${releaseId}`);
+      })
+      .finally(() => {
+        taskProgress.remove();
+      });
+  }
+
+  pull() {
+    const s3Sync = this.getBucketConfigs();
+    if (!s3Sync) {
+      this.log.error('serverless-s3-sync requires at least one configuration entry in custom.s3Sync');
+      return Promise.resolve();
+    }
+
+    const taskProgress = this.progress.create({ message: 'Pulling S3 buckets into directories' });
+
+    const promises = s3Sync.map((s) => {
+      // entries promoted from another bucket or merging `sources` have no directory to pull into
+      if ((s.hasOwnProperty('enabled') && s.enabled === false) || !s.localDir || s.sources) {
+        return null;
       }
       return this.getBucketName(s)
         .then(bucketName => {
-          if (this.options && this.options.bucket && bucketName != this.options.bucket) {
-            // if the bucket option is given, that means we're in the subcommand where we're
-            // only syncing one bucket, so only continue if this bucket name matches
+          if (this.options.bucket && bucketName != this.options.bucket) {
             return null;
           }
+          const bucketProgress = this.progress.create({ message: `${s.localDir}: pulling from bucket ${bucketName}` });
+          return this.pullBucket(s, bucketName)
+            .finally(() => {
+              bucketProgress.remove();
+            });
+        });
+    });
+    return Promise.all(promises)
+      .then((results) => {
+        const downloaded = results.reduce((total, result) => total + (result ? result.downloaded : 0), 0);
+        const deleted = results.reduce((total, result) => total + (result ? result.deleted : 0), 0);
+        this.log.success(`Pulled S3 buckets into directories (${downloaded} downloaded, ${deleted} deleted)`);
+      })
+      .finally(() => {
+        taskProgress.remove();
+      });
+  }
 
-          const bucketDir = `${bucketName}${bucketPrefix == '' ? '' : bucketPrefix}/`;
+  pullBucket(s, bucketName) {
+    const localDir = path.resolve(this.servicePath, s.localDir);
+    const prefix = s.bucketPrefix ? s.bucketPrefix.replace(/^\/+/, '').replace(/\/?$/, '/') : '';
+    const fileFilter = this.getFileFilter(s, localDir);
+    const exclude = [].concat(this.options.exclude || []);
+    const isIncluded = (fullPath) => fileFilter(fullPath) &&
+      !exclude.some(glob => matchesGlob(toS3Path(path.relative(localDir, fullPath)), glob));
+    const toLocalFile = (key) => path.join(localDir, ...this.getLocalPath(s, key.substring(prefix.length)).split('/'));
 
-          let percent = 0;
-          const getProgressMessage = () => `${localDir}: sync bucket metadata to ${bucketDir} (${percent}%)`
-          const bucketProgress = this.progress.create({ message: getProgressMessage() })
+    const files = !fs.existsSync(localDir) ? [] : this.getLocalFiles(localDir, [], s.followSymlinks, isIncluded)
+      .map((localFile) => ({
+        localFile,
+        key: prefix + this.getCleanUrlPaths(s, toS3Path(path.relative(localDir, localFile)))[0],
+        size: fs.statSync(localFile).size
+      }));
 
-          return Promise.all(filesToSync.map((file, index) => {
-            return new Promise((resolve) => {
-              let contentTypeObject = {};
-              let detectedContentType = mime.getType(file.name)
-              if (detectedContentType !== null || s.hasOwnProperty('defaultContentType')) {
-                contentTypeObject.ContentType = detectedContentType ? detectedContentType : s.defaultContentType;
-              }
-              let params = {
-                ...contentTypeObject,
-                ...file.params,
-                ...{
-                  CopySource: encodeSpecialCharacters(toS3Path(file.name.replace(path.resolve(localDir) + path.sep, bucketDir))),
-                  Key: encodeSpecialCharacters(toS3Path(file.name.replace(path.resolve(localDir) + path.sep, `${bucketPrefix ? bucketPrefix.replace(/^\//, '') + '/' : ''}`))),
-                  Bucket: bucketName,
-                  ACL: acl,
-                  MetadataDirective: 'REPLACE'
-                }
-              };
-              const uploader = this.client().copyObject(params);
-              uploader.on('error', (err) => {
-                throw err;
-              });
-              uploader.on('end', () => {
-                const current = Math.round((index / filesToSync.length) * 10) * 10;
-                if (current > percent) {
-                  percent = current;
-                  bucketProgress.update(getProgressMessage())
-                }
-                resolve('done');
-              });
+    const client = this.client(s);
+    let remote = new Map();
+    // with cleanUrls, `dir` may be the copy of `dir/index.html` rather than a page of its own
+    const isIndexCopy = (key) => {
+      const index = remote.get(`${key}/index.html`);
+      return Boolean(s.cleanUrls && index && index.ETag === remote.get(key).ETag);
+    };
+    return this.listBucketObjects(s, bucketName, prefix)
+      .then((objects) => {
+        remote = new Map(objects.map(object => [object.Key, object]));
+        return diffBucket(objects, { files, deleteRemoved: true });
+      })
+      .then((diff) => {
+        // remote-only keys show up as deletes and changed files as updates, local-only files as creates
+        const downloads = diff.deletes.concat(diff.uploads.filter(upload => upload.action === 'update'))
+          .filter(({ key }) => {
+            const localFile = toLocalFile(key);
+            if (key.endsWith('/') || this.isReleaseKey(s, key) || isIndexCopy(key)) {
+              return false;
+            }
+            if (!localFile.startsWith(localDir + path.sep)) {
+              this.log.warning(`Skipping s3://${bucketName}/${key}, it maps outside of ${s.localDir}`);
+              return false;
+            }
+            // brotli variants are generated from the original file by the sync, and generated
+            // files are rendered on every sync instead of living in localDir
+            const relativePath = key.substring(prefix.length);
+            if (relativePath.endsWith('.br') && this.getCompression(s, this.getLocalPath(s, relativePath.slice(0, -3))).brotli) {
+              return false;
+            }
+            if (this.isGeneratedFile(s, relativePath.replace(/\.br$/, ''))) {
+              return false;
+            }
+            return isIncluded(localFile);
+          });
+        const deletes = this.options.delete ? diff.uploads.filter(upload => upload.action === 'create') : [];
+
+        return BbPromise.map(downloads, ({ key }) => {
+          return this.s3Request(s, { operation: 'download', bucket: bucketName, key },
+            () => client.s3.getObject({ Bucket: bucketName, Key: key }).promise())
+            .then((object) => {
+              const localFile = toLocalFile(key);
+              fs.mkdirSync(path.dirname(localFile), { recursive: true });
+              fs.writeFileSync(localFile, object.ContentEncoding === 'gzip' ? zlib.gunzipSync(object.Body) : object.Body);
+              this.log.verbose(`Downloaded s3://${bucketName}/${key}`);
+            });
+        }, { concurrency: this.getS3Options(s).maxAsyncS3 })
+          .then(() => {
+            deletes.forEach(({ localFile }) => {
+              fs.unlinkSync(localFile);
+              this.log.verbose(`Deleted ${path.relative(this.servicePath, localFile)}`);
             });
-          })).finally(() => {
-            bucketProgress.remove();
+            return { downloaded: downloads.length, deleted: deletes.length };
+          });
+      });
+  }
+
+  watch() {
+    const s3Sync = this.getBucketConfigs();
+    if (!s3Sync) {
+      this.log.error('serverless-s3-sync requires at least one configuration entry in custom.s3Sync');
+      return Promise.resolve([]);
+    }
+
+    const watchers = [];
+    const promises = s3Sync.map((s) => {
+      if (s.hasOwnProperty('enabled') && s.enabled === false) {
+        return null;
+      }
+      return this.getBucketName(s)
+        .then(bucketName => {
+          if (this.options.bucket && bucketName != this.options.bucket) {
+            return null;
+          }
+          if (!s.localDir || s.source || s.sources || s.releases) {
+            this.log.warning(`Not watching the entry of ${bucketName}, only entries syncing localDir without source, sources or releases can be watched`);
+            return null;
+          }
+          const localDir = path.resolve(this.servicePath, s.localDir);
+          const changedPaths = new Set();
+          let timer = null;
+          let syncing = Promise.resolve();
+          const syncChanges = () => {
+            const relativePaths = Array.from(changedPaths);
+            changedPaths.clear();
+            // one sync at a time per entry, a failed sync is logged and the next change is synced again
+            syncing = syncing
+              .then(() => this.syncChangedFiles(s, bucketName, relativePaths))
+              .catch(err => {
+                this.log.error(`Failed to sync changes of ${s.localDir}: ${err.message || err}`);
+              });
+          };
+          watchers.push(watchTree(localDir, (relativePath) => {
+            changedPaths.add(toS3Path(relativePath));
+            clearTimeout(timer);
+            timer = setTimeout(syncChanges, WATCH_DEBOUNCE);
+          }));
+          this.log.notice(`Watching ${s.localDir} for changes to sync to s3://${bucketName}`);
+        });
+    });
+    return Promise.all(promises).then(() => watchers);
+  }
+
+  waitForInterrupt(watchers) {
+    return new Promise((resolve) => {
+      const stop = () => {
+        process.removeListener('SIGINT', stop);
+        process.removeListener('SIGTERM', stop);
+        watchers.forEach(watcher => watcher.close());
+        resolve();
+      };
+      process.on('SIGINT', stop);
+      process.on('SIGTERM', stop);
+    });
+  }
+
+  syncChangedFiles(s, bucketName, relativePaths) {
+    const localDir = [this.servicePath, s.localDir].join('/');
+    const prefix = s.bucketPrefix ? s.bucketPrefix.replace(/\/?$/, '/') : '';
+    const followSymlinks = s.hasOwnProperty('followSymlinks') ? s.followSymlinks : false;
+    const deleteRemoved = s.hasOwnProperty('deleteRemoved') ? s.deleteRemoved : true;
+    const isIncluded = this.getFileFilter(s, localDir);
+
+    const changedFiles = new Set();
+    const removedPaths = [];
+    relativePaths.forEach((relativePath) => {
+      const localFile = path.join(localDir, relativePath);
+      let stat = null;
+      try {
+        stat = followSymlinks ? fs.statSync(localFile) : fs.lstatSync(localFile);
+      } catch (e) {
+        removedPaths.push(relativePath);
+        return;
+      }
+      if (stat.isDirectory()) {
+        // a directory moved into localDir is reported once, without its files
+        this.getLocalFiles(localFile, [], followSymlinks, isIncluded).forEach(file => changedFiles.add(file));
+      } else if (stat.isFile() && isIncluded(localFile)) {
+        changedFiles.add(localFile);
+      }
+    });
+
+    // generated files are only rendered by a full sync
+    const { files, tempDir } = this.compressFiles(s, Array.from(changedFiles).map((localFile) => ({
+      localFile,
+      sourceFile: localFile,
+      path: toS3Path(path.relative(localDir, localFile)),
+      size: fs.statSync(localFile).size
+    })).filter(file => !this.isGeneratedFile(s, file.path)));
+    const uploads = this.cleanUrlFiles(s, files)
+      .map(file => Object.assign(file, {
+        action: 'update',
+        key: prefix + file.path,
+        s3Params: this.getS3Params(s, localDir, file.sourceFile)
+      }))
+      .filter(upload => upload.s3Params !== null);
+
+    // a removed path may be a file or a whole directory
+    const removedKeys = [].concat(...removedPaths.map(removed => this.getCleanUrlPaths(s, removed)));
+    const listDeletes = removedPaths.length === 0 || !deleteRemoved ? Promise.resolve([]) :
+      this.listBucketObjects(s, bucketName, prefix)
+        .then(objects => objects
+          .map(object => ({ key: object.Key, size: object.Size }))
+          .filter(({ key }) => {
+            const relativePath = key.substring(prefix.length);
+            return removedKeys.some(removed => relativePath === removed || relativePath === `${removed}.br` || relativePath.startsWith(`${removed}/`)) &&
+              isIncluded(path.join(localDir, this.getLocalPath(s, relativePath))) && !this.isPreserved(s, key) &&
+              !this.isGeneratedFile(s, relativePath.replace(/\.br$/, ''));
+          }));
+
+    return listDeletes
+      .then(deletes => {
+        const plan = {
+          bucketName,
+          bucketPrefix: prefix,
+          localDir,
+          acl: s.hasOwnProperty('acl') ? s.acl : 'private',
+          defaultContentType: s.defaultContentType,
+          uploads,
+          deletes
+        };
+        return this.applyBucketSync(s, plan, () => {})
+          .then(() => {
+            if (uploads.length > 0 || deletes.length > 0) {
+              this.log.notice(`Synced ${s.localDir} to s3://${bucketName} (${uploads.length} uploaded, ${deletes.length} deleted)`);
+            }
           });
+      })
+      .finally(() => {
+        this.removeTempDir(tempDir);
+      });
+  }
+
+  recordChangedKeys(s, keys) {
+    if (!this.changedKeys.has(s)) {
+      this.changedKeys.set(s, new Set());
+    }
+    keys.forEach(key => this.changedKeys.get(s).add(key));
+  }
+
+  invalidateCloudFront(invokedAsCommand) {
+    const s3Sync = this.getBucketConfigs();
+    if (!s3Sync) {
+      this.log.error('serverless-s3-sync requires at least one configuration entry in custom.s3Sync');
+      return Promise.resolve();
+    }
+    if (this.isOffline()) {
+      // there is no CloudFront in front of a local S3 endpoint
+      return Promise.resolve();
+    }
+
+    const taskProgress = this.progress.create({ message: 'Invalidating CloudFront caches' });
+
+    const promises = s3Sync.map((s, index) => {
+      if (s.hasOwnProperty('enabled') && s.enabled === false) {
+        return null;
+      }
+      const changedKeys = this.changedKeys.get(s);
+      if (!s.cloudFront || !changedKeys || changedKeys.size === 0) {
+        return null;
+      }
+
+      return this.getDistributionId(s.cloudFront)
+        .then(distributionId => {
+          const paths = this.getInvalidationPaths(s, Array.from(changedKeys));
+          if (paths.length === 0) {
+            return null;
+          }
+          const bucketProgress = this.progress.create({ message: `${distributionId}: invalidating ${paths.length} paths` });
+          const provider = this.serverless.getProvider('aws');
+          const cloudFront = new provider.sdk.CloudFront(getAwsOptions(provider));
+          const params = {
+            DistributionId: distributionId,
+            InvalidationBatch: {
+              // entries sharing a distribution are invalidated at the same time, each needs its own reference
+              CallerReference: `serverless-s3-sync-${Date.now()}-${index}-${crypto.createHash('md5').update(paths.join('\n')).digest('hex').slice(0, 12)}`,
+              Paths: {
+                Quantity: paths.length,
+                Items: paths
+              }
+            }
+          };
+          return cloudFront.createInvalidation(params).promise()
+            .then(data => {
+              this.log.verbose(`${distributionId}: created invalidation ${data.Invalidation.Id} for ${paths.join(', ')}`);
+              if (!s.cloudFront.waitForCompletion) {
+                return null;
+              }
+              bucketProgress.update(`${distributionId}: waiting for invalidation ${data.Invalidation.Id} to complete`);
+              return cloudFront.waitFor('invalidationCompleted', { DistributionId: distributionId, Id: data.Invalidation.Id }).promise();
+            })
+            .then(() => {
+              this.changedKeys.delete(s);
+            })
+            .finally(() => {
+              bucketProgress.remove();
+            });
         });
     });
-    return Promise.all((promises))
+    return Promise.all(promises)
       .then(() => {
         if (invokedAsCommand) {
-          this.log.success('Synced bucket metadata');
+          this.log.success('Invalidated CloudFront caches');
         } else {
-          this.log.verbose('Synced bucket metadata');
+          this.log.verbose('Invalidated CloudFront caches');
         }
       })
       .finally(() => {
@@ -476,80 +2433,282 @@ class ServerlessS3Sync {
       });
   }
 
-  syncBucketTags(invokedAsCommand) {
-    let s3Sync = this.serverless.service.custom.s3Sync;
-    if(s3Sync.hasOwnProperty('buckets')) {
-      s3Sync = s3Sync.buckets;
+  getDistributionId(cloudFront) {
+    if (cloudFront.distributionId) {
+      return Promise.resolve(cloudFront.distributionId)
     }
-    if (!Array.isArray(s3Sync)) {
+    return this.resolveOutputRef(cloudFront.distributionIdKey)
+  }
+
+  getInvalidationPaths(s, keys) {
+    // keys outside the distribution's origin path are not served by it
+    const originPath = (s.cloudFront.originPath || '').replace(/^\/+/, '').replace(/\/?$/, '/');
+    const paths = keys
+      .filter(key => originPath === '/' || key.startsWith(originPath))
+      .map(key => '/' + encodeURI(originPath === '/' ? key : key.substring(originPath.length)));
+    return collapsePaths(paths, s.cloudFront.maxPaths || 15);
+  }
+
+  plan(invokedAsCommand) {
+    const s3Sync = this.getBucketConfigs();
+    if (!s3Sync) {
       this.log.error('serverless-s3-sync requires at least one configuration entry in custom.s3Sync');
       return Promise.resolve();
     }
 
-    const taskProgress = this.progress.create({ message: 'Updating bucket tags' });
-
-    const promises = s3Sync.map( async (s) => {
-      if (!s.bucketName && !s.bucketNameKey) {
-        throw 'Invalid custom.s3Sync';
-      }
+    const taskProgress = this.progress.create({ message: 'Planning sync to S3 buckets' });
 
-      if (!s.bucketTags) {
-        // bucket tags not configured for this bucket, skip it
-        // so we don't require additional s3:getBucketTagging permissions
+    const promises = s3Sync.map((s) => {
+      if (s.hasOwnProperty('enabled') && s.enabled === false) {
         return null;
       }
-
-      // convert the tag key/value pairs into a TagSet structure for the putBucketTagging command
-      const tagsToUpdate = Object.keys(s.bucketTags).map(tagKey => ({
-        Key: tagKey,
-        Value: s.bucketTags[tagKey]
-      }));
-
       return this.getBucketName(s)
         .then(bucketName => {
-          if (this.options && this.options.bucket && bucketName != this.options.bucket) {
-            // if the bucket option is given, that means we're in the subcommand where we're
-            // only syncing one bucket, so only continue if this bucket name matches
+          if (this.options.bucket && bucketName != this.options.bucket) {
             return null;
           }
+          const bucketProgress = this.progress.create({ message: `${bucketName}: comparing with ${s.localDir}` });
+          return this.planBucketSync(s, bucketName)
+            .then(sync => {
+              this.removeTempDir(sync.tempDir);
+              const uploadedParams = sync.release ? new Map() :
+                new Map(sync.uploads.map(upload => [upload.key, this.getUploadParams(sync, upload)]));
+              return BbPromise.all([
+                sync,
+                this.planBucketMetadata(s, bucketName, uploadedParams),
+                s.bucketTags ? this.planBucketTags(s, bucketName) : { changes: [] },
+                this.planObjectTags(s, bucketName, new Set(uploadedParams.keys()))
+              ]);
+            })
+            .then(([sync, metadata, tags, objectTags]) => ({ entry: s, sync, metadata, tags, objectTags }))
+            .finally(() => {
+              bucketProgress.remove();
+            });
+        });
+    });
+    return Promise.all(promises)
+      .then((plans) => {
+        plans.filter(Boolean).forEach(plan => this.logPlan(plan));
+        const message = 'Dry run, nothing was written to S3 buckets';
+        if (invokedAsCommand) {
+          this.log.success(message);
+        } else {
+          this.log.notice(message);
+        }
+      })
+      .finally(() => {
+        taskProgress.remove();
+      });
+  }
 
-          const bucketProgress = this.progress.create({ message: `${bucketName}: sync bucket tags` })
+  printRules() {
+    const s3Sync = this.getBucketConfigs();
+    if (!s3Sync) {
+      this.log.error('serverless-s3-sync requires at least one configuration entry in custom.s3Sync');
+      return Promise.resolve();
+    }
 
-          // AWS.S3 does not have an option to append tags to a bucket, it can only rewrite the whole set of tags
-          // To avoid removing system tags set by other tools, we read the existing tags, merge our tags in the list
-          // and then write them all back
-          return this.client().s3.getBucketTagging({ Bucket: bucketName }).promise()
-            .then(data => data.TagSet)
-            .then(existingTagSet => {
+    const file = path.resolve(this.servicePath, this.options.file);
+    const entries = s3Sync
+      .filter(s => !(s.hasOwnProperty('enabled') && s.enabled === false))
+      .map(s => ({ s, relativePath: this.getEntryPath(s, file) }))
+      .filter(entry => entry.relativePath !== null);
+    if (entries.length === 0) {
+      this.log.warning(`${this.options.file} is not in the localDir or sources of any bucket entry`);
+      return Promise.resolve();
+    }
 
-              this.mergeTags(existingTagSet, tagsToUpdate);
-              const putParams = {
-                Bucket: bucketName,
-                Tagging: {
-                  TagSet: existingTagSet
-                }
-              };
-              return this.client().s3.putBucketTagging(putParams).promise();
+    return BbPromise.each(entries, ({ s, relativePath }) => {
+      return this.getBucketName(s)
+        .then((bucketName) => {
+          const localDir = [this.servicePath, s.localDir].join('/');
+          const sourceFile = path.join(localDir, ...relativePath.split('/'));
+          const prefix = s.bucketPrefix ? s.bucketPrefix.replace(/\/?$/, '/') : '';
+          const key = prefix + this.getCleanUrlPaths(s, relativePath)[0];
+          const resolved = this.resolveFileParams(s, localDir, sourceFile);
+          this.log.notice(`${path.relative(this.servicePath, file)} -> s3://${bucketName}/${key}`);
+          if (resolved.rules.length === 0) {
+            this.log.notice('  no params rule matches');
+          }
+          resolved.rules.forEach((rule) => {
+            const summary = rule.mismatch ? `not applied, ${rule.mismatch}` : JSON.stringify(rule.params);
+            this.log.notice(`  rule ${rule.index + 1} ${rule.glob}: ${summary}`);
+          });
+          if (resolved.skip) {
+            this.log.notice(`  not uploaded, ${resolved.skip}`);
+            return;
+          }
+          const contentType = mime.getType(sourceFile) || s.defaultContentType;
+          const params = Object.assign(contentType ? { ContentType: contentType } : {}, resolved.params);
+          this.log.notice(`  params ${JSON.stringify(params)}`);
+        });
+    });
+  }
+
+  getEntryPath(s, file) {
+    // the path relative to bucketPrefix `file` of the service is uploaded to by entry `s`, or null
+    const relativeTo = (dir) => {
+      const relativePath = path.relative(path.resolve(this.servicePath, dir), file);
+      return relativePath === '' || relativePath.startsWith('..') || path.isAbsolute(relativePath) ? null : toS3Path(relativePath);
+    };
+    if (s.sources) {
+      // the last source wins, like when the sources are merged
+      return s.sources.reduce((entryPath, source) => {
+        const relativePath = relativeTo(this.getSourcesBase(source).dir);
+        const mappedPath = relativePath === null ? null : this.mapSourcesPath(source, relativePath);
+        return mappedPath === null ? entryPath : mappedPath;
+      }, null);
+    }
+    return s.localDir ? relativeTo(s.localDir) : null;
+  }
+
+  verify() {
+    const s3Sync = this.getBucketConfigs();
+    if (!s3Sync) {
+      this.log.error('serverless-s3-sync requires at least one configuration entry in custom.s3Sync');
+      return Promise.resolve();
+    }
+
+    const taskProgress = this.progress.create({ message: 'Verifying S3 buckets' });
+
+    const promises = s3Sync.map((s) => {
+      if (s.hasOwnProperty('enabled') && s.enabled === false) {
+        return null;
+      }
+      return this.getBucketName(s)
+        .then(bucketName => {
+          if (this.options.bucket && bucketName != this.options.bucket) {
+            return null;
+          }
+          if (s.releases && this.getReleaseConfig(s).activate === 'pointer') {
+            this.log.warning(`Skipping s3://${bucketName}, entries activating releases with a pointer have no live prefix to verify`);
+            return null;
+          }
+          const bucketProgress = this.progress.create({ message: `${bucketName}: comparing with ${s.localDir}` });
+          return this.planBucketSync(s, bucketName)
+            .then(sync => {
+              this.removeTempDir(sync.tempDir);
+              return this.verifyBucket(s, sync);
             })
             .finally(() => {
               bucketProgress.remove();
             });
-
         });
     });
-    return Promise.all((promises))
-      .then(() => {
-        if (invokedAsCommand) {
-          this.log.success('Updated bucket tags');
-        } else {
-          this.log.verbose('Updated bucket tags');
+    return Promise.all(promises)
+      .then((results) => {
+        const drifted = results.filter(result => result && result.drift.length > 0);
+        drifted.forEach(({ entry, sync, drift }) => {
+          const prefix = sync.bucketPrefix ? ` (prefix ${sync.bucketPrefix})` : '';
+          const from = sync.source ? `s3://${sync.source.bucketName}/${sync.source.prefix}` : entry.localDir;
+          this.log.notice(`${from} -> s3://${sync.bucketName}${prefix}`);
+          drift.forEach(({ status, key, detail }) => {
+            this.log.notice(`  ${status.padEnd(9)} ${key}${detail ? ` (${detail})` : ''}`);
+          });
+        });
+        if (drifted.length > 0) {
+          const count = drifted.reduce((total, result) => total + result.drift.length, 0);
+          const entries = `${drifted.length} bucket entr${drifted.length === 1 ? 'y' : 'ies'}`;
+          throw new this.serverless.classes.Error(`Found ${count} objects that differ from their local directories in ${entries}`);
         }
+        this.log.success('S3 buckets match their local directories');
       })
       .finally(() => {
         taskProgress.remove();
       });
   }
 
+  verifyBucket(s, sync) {
+    // in release mode the live prefix is compared with what activating this build would copy
+    const { uploads, deletes, unchanged } = sync.release ?
+      { uploads: sync.release.activation.copies, deletes: sync.release.activation.deletes, unchanged: sync.release.activation.unchanged } :
+      sync;
+    const drift = uploads.map(upload => ({ status: upload.action === 'create' ? 'missing' : 'changed', key: upload.key }))
+      .concat(deletes.map(object => ({ status: 'extra', key: object.key })));
+
+    // objects with the right content must also have the headers the params rules set on upload
+    const client = this.client(s);
+    return BbPromise.map(unchanged, (file) => {
+      const s3Params = this.getFileS3Params(s, sync.localDir, file);
+      if (s3Params === null) {
+        return null;
+      }
+      const expected = this.getUploadParams(sync, Object.assign({}, file, { s3Params }));
+      return this.s3Request(s, { operation: 'read metadata of', bucket: sync.bucketName, key: file.key },
+        () => client.s3.headObject({ Bucket: sync.bucketName, Key: file.key }).promise())
+        .then((head) => {
+          if (!metadataDiffers(expected, withoutSourceETag(head))) {
+            return null;
+          }
+          const detail = ['ContentType', 'CacheControl', 'ContentEncoding']
+            .filter(name => String(expected[name] || '') !== String(head[name] || ''))
+            .map(name => `${name}: ${expected[name] || '(none)'} != ${head[name] || '(none)'}`)
+            .join(', ');
+          return { status: 'metadata', key: file.key, detail };
+        });
+    }, { concurrency: this.getS3Options(s).maxAsyncS3 })
+      .then(mismatches => ({ entry: s, sync, drift: drift.concat(mismatches.filter(Boolean)) }));
+  }
+
+  logPlan({ entry, sync, metadata, tags, objectTags }) {
+    const prefix = sync.bucketPrefix ? ` (prefix ${sync.bucketPrefix})` : '';
+    const from = sync.source ? `s3://${sync.source.bucketName}/${sync.source.prefix}` : entry.localDir;
+    this.log.notice(`${from} -> s3://${sync.bucketName}${prefix}`);
+    if (entry.preCommand) {
+      this.log.notice(`  preCommand was not run: ${entry.preCommand}`);
+    }
+    if (entry.postCommand) {
+      this.log.notice(`  postCommand was not run: ${entry.postCommand}`);
+    }
+    const refusal = this.checkDeletes(entry, sync);
+    if (refusal) {
+      this.log.warning(`  ${refusal}, sync would fail without --s3sync-force`);
+    }
+    if (sync.release) {
+      this.log.notice(`  release   ${sync.release.id} (${sync.uploads.length} files to ${sync.release.prefix})`);
+    }
+    sync.uploads.forEach(upload => {
+      this.log.notice(`  ${upload.action === 'create' ? 'upload   ' : 'overwrite'} ${upload.key}`);
+    });
+    if (sync.release) {
+      sync.release.activation.copies.forEach(copy => {
+        this.log.notice(`  activate  ${copy.key}`);
+      });
+      sync.release.activation.deletes.forEach(object => {
+        this.log.notice(`  delete    ${object.key}`);
+      });
+      if (sync.release.activate === 'pointer') {
+        this.log.notice(`  activate  ${sync.release.pointerKey} -> ${sync.release.prefix}`);
+      }
+      sync.release.pruned.forEach(releaseId => {
+        this.log.notice(`  prune     release ${releaseId}`);
+      });
+    }
+    sync.deletes.forEach(object => {
+      this.log.notice(`  delete    ${object.key}`);
+    });
+    metadata.files.forEach(file => {
+      this.log.notice(`  metadata  ${file.key}`);
+    });
+    tags.changes.forEach(tag => {
+      const previous = typeof(tag.PreviousValue) == 'undefined' ? '(none)' : tag.PreviousValue;
+      this.log.notice(`  tag       ${tag.Key}: ${previous} -> ${tag.Value}`);
+    });
+    objectTags.changes.forEach(change => {
+      this.log.notice(`  tag       ${change.key}: ${this.getTagging(change.previous) || '(none)'} -> ${this.getTagging(change.tags) || '(none)'}`);
+    });
+    if (entry.cloudFront) {
+      const changedKeys = (sync.release ? sync.release.activation.copies.concat(sync.release.activation.deletes) : sync.uploads.concat(sync.deletes))
+        .concat(metadata.files)
+        .map(object => object.key);
+      this.getInvalidationPaths(entry, changedKeys).forEach(invalidationPath => {
+        this.log.notice(`  invalidate ${invalidationPath}`);
+      });
+    }
+    this.log.notice(`  ${sync.uploads.length} to upload, ${sync.deletes.length} to delete, ${sync.unchanged.length} unchanged, ` +
+      `${metadata.files.length} metadata updates, ${tags.changes.length} tag changes, ${objectTags.changes.length} object tag updates`);
+  }
+
   mergeTags(existingTagSet, tagsToMerge) {
     tagsToMerge.forEach(tag => {
       const existingTag = existingTagSet.find(et => et.Key === tag.Key);
@@ -561,7 +2720,7 @@ class ServerlessS3Sync {
     });
   }
 
-  getLocalFiles(dir, files) {
+  getLocalFiles(dir, files, followSymlinks, isIncluded) {
     try {
       fs.accessSync(dir, fs.constants.R_OK);
     } catch (e) {
@@ -576,15 +2735,45 @@ class ServerlessS3Sync {
         this.log.error(`The file ${fullPath} does not exist.`);
         return;
       }
-      if (fs.lstatSync(fullPath).isDirectory()) {
-        this.getLocalFiles(fullPath, files);
-      } else {
+      const stat = followSymlinks ? fs.statSync(fullPath) : fs.lstatSync(fullPath);
+      if (stat.isDirectory()) {
+        this.getLocalFiles(fullPath, files, followSymlinks, isIncluded);
+      } else if (stat.isFile() && (!isIncluded || isIncluded(fullPath))) {
         files.push(fullPath);
       }
     });
     return files;
   }
 
+  hasFileFilter(s) {
+    return Boolean(s.include || s.exclude || s.ignoreFile);
+  }
+
+  getFileFilter(s, localDir) {
+    const include = Array.isArray(s.include) ? s.include : null;
+    const exclude = Array.isArray(s.exclude) ? s.exclude : [];
+    const ignoreFileName = typeof(s.ignoreFile) == 'string' ? s.ignoreFile : '.s3syncignore';
+    let isIgnored = () => false;
+    if (s.ignoreFile) {
+      const ignoreFile = path.join(localDir, ignoreFileName);
+      if (fs.existsSync(ignoreFile)) {
+        isIgnored = parseIgnoreFile(fs.readFileSync(ignoreFile, 'utf8'));
+      }
+    }
+
+    // takes the full local path of a file, or the path a remote key maps to
+    return (fullPath) => {
+      const relativePath = toS3Path(path.relative(localDir, fullPath));
+      if (s.ignoreFile && relativePath === ignoreFileName) {
+        return false;
+      }
+      if (include && !include.some(glob => matchesGlob(relativePath, glob))) {
+        return false;
+      }
+      return !exclude.some(glob => matchesGlob(relativePath, glob)) && !isIgnored(relativePath);
+    };
+  }
+
   extractMetaParams(config) {
     const validParams = {};
     const keys = Object.keys(config);
@@ -598,10 +2787,25 @@ class ServerlessS3Sync {
     if (s.bucketName) {
       return Promise.resolve(s.bucketName)
     } else if (s.bucketNameKey) {
-      return resolveStackOutput(this, s.bucketNameKey)
+      return this.resolveOutputRef(s.bucketNameKey)
     } else {
-      return Promise.reject("Unable to find bucketName. Please provide a value for bucketName or bucketNameKey")
+      return Promise.reject(new this.serverless.classes.Error("Unable to find bucketName. Please provide a value for bucketName or bucketNameKey"))
+    }
+  }
+
+  isSameOutputRef(outputRef, otherOutputRef) {
+    // whether two output references read the same output, without reading it
+    const normalize = ref => (typeof(ref) == 'object' ? [ref.key, ref.stack || '', ref.region || ''] : [ref, '', '']).join('/');
+    return Boolean(outputRef && otherOutputRef) && normalize(outputRef) === normalize(otherOutputRef);
+  }
+
+  resolveOutputRef(outputRef, stackName) {
+    // an output key of this stack, or { key, stack, region } to read the output of another stack,
+    // `stackName` is only used when the reference names no stack
+    if (typeof(outputRef) == 'object') {
+      return resolveStackOutput(this, outputRef.key, outputRef.stack || stackName, outputRef.region);
     }
+    return resolveStackOutput(this, outputRef, stackName);
   }
 }
 
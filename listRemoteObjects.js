@@ -0,0 +1,19 @@
+function listRemoteObjects(client, bucketName, prefix) {
+  return new Promise((resolve, reject) => {
+    const objects = [];
+    const finder = client.listObjects({
+      recursive: true,
+      s3Params: {
+        Bucket: bucketName,
+        Prefix: prefix
+      }
+    });
+    finder.on('error', reject);
+    finder.on('data', (data) => {
+      objects.push(...data.Contents);
+    });
+    finder.on('end', () => resolve(objects));
+  });
+}
+
+module.exports = listRemoteObjects;
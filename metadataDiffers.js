@@ -0,0 +1,56 @@
+// headers returned by headObject that a metadata copy (MetadataDirective: REPLACE) rewrites
+const REPLACED_FIELDS = [
+  'CacheControl',
+  'ContentDisposition',
+  'ContentEncoding',
+  'ContentLanguage',
+  'WebsiteRedirectLocation'
+];
+const HEAD_FIELDS = REPLACED_FIELDS.concat(['ContentType', 'ServerSideEncryption', 'SSEKMSKeyId']);
+
+function sameMetadata(desired, remote) {
+  const desiredKeys = Object.keys(desired);
+  // S3 returns user metadata keys in lower case
+  const lowerCased = Object.keys(remote).reduce((acc, key) => {
+    acc[key.toLowerCase()] = remote[key];
+    return acc;
+  }, {});
+  return desiredKeys.length === Object.keys(remote).length &&
+    desiredKeys.every(key => String(desired[key]) === lowerCased[key.toLowerCase()]);
+}
+
+/*
+  Tells whether copying an object with the `desired` params would change it, given the
+  result of a headObject call (or the params it was just uploaded with). Params that
+  cannot be read back from HEAD are treated as different, except ACL which is applied
+  on upload.
+*/
+function metadataDiffers(desired, head) {
+  const differs = Object.keys(desired).some((name) => {
+    const value = desired[name];
+    if (name === 'ACL') {
+      return false;
+    }
+    if (name === 'Metadata') {
+      return !sameMetadata(value || {}, head.Metadata || {});
+    }
+    if (name === 'StorageClass') {
+      return value !== (head.StorageClass || 'STANDARD');
+    }
+    if (name === 'Expires') {
+      return new Date(value).getTime() !== new Date(head.Expires).getTime();
+    }
+    if (HEAD_FIELDS.includes(name)) {
+      return typeof(value) != 'undefined' && String(value) !== String(head[name]);
+    }
+    return true;
+  });
+  if (differs) {
+    return true;
+  }
+  // headers the copy would drop because they are not part of the desired params
+  return REPLACED_FIELDS.some(name => !desired.hasOwnProperty(name) && head[name]) ||
+    (!desired.hasOwnProperty('Metadata') && Object.keys(head.Metadata || {}).length > 0);
+}
+
+module.exports = metadataDiffers;
@@ -0,0 +1,48 @@
+const minimatch = require('minimatch');
+
+/*
+  Parses a gitignore-style file into a function telling whether a path (relative, with `/`
+  separators) is ignored. Supports comments, `!` negation, directory-only patterns ending
+  in `/` and patterns anchored with a leading or inner `/`. The last matching rule wins.
+*/
+function parseIgnoreFile(content) {
+  const rules = content.split(/\r?\n/)
+    .map(line => line.replace(/\s+$/, ''))
+    .filter(line => line !== '' && !line.startsWith('#'))
+    .map((line) => {
+      let pattern = line.replace(/^\\(?=[#!])/, '');
+      const negated = line.startsWith('!');
+      if (negated) {
+        pattern = pattern.substring(1);
+      }
+      const directoryOnly = pattern.endsWith('/');
+      pattern = pattern.replace(/\/+$/, '');
+      const anchored = pattern.includes('/');
+      return {
+        negated,
+        directoryOnly,
+        pattern: pattern.replace(/^\//, ''),
+        options: { dot: true, matchBase: !anchored }
+      };
+    });
+
+  return (relativePath) => {
+    const segments = relativePath.split('/');
+    // a file is ignored when a rule matches it or one of its parent directories
+    const candidates = segments.map((segment, index) => ({
+      path: segments.slice(0, index + 1).join('/'),
+      isDirectory: index < segments.length - 1
+    }));
+    let ignored = false;
+    rules.forEach((rule) => {
+      const matches = candidates.some(candidate => (candidate.isDirectory || !rule.directoryOnly) &&
+        minimatch(candidate.path, rule.pattern, rule.options));
+      if (matches) {
+        ignored = !rule.negated;
+      }
+    });
+    return ignored;
+  };
+}
+
+module.exports = parseIgnoreFile;
@@ -0,0 +1,63 @@
+const minimatch = require('minimatch');
+
+function conditionMismatch(when, context) {
+  const stages = [].concat(when.stage || []);
+  if (stages.length > 0 && !stages.includes(context.stage)) {
+    return `stage is ${context.stage}, not ${stages.join(' or ')}`;
+  }
+  const regions = [].concat(when.region || []);
+  if (regions.length > 0 && !regions.includes(context.region)) {
+    return `region is ${context.region}, not ${regions.join(' or ')}`;
+  }
+  const params = when.params || {};
+  const param = Object.keys(params).find(name => [].concat(params[name]).every(value => String(value) !== context.params[name]));
+  if (param) {
+    const current = typeof(context.params[param]) == 'undefined' ? 'not set' : context.params[param];
+    return `--param ${param} is ${current}, not ${[].concat(params[param]).join(' or ')}`;
+  }
+  return null;
+}
+
+function matchesGlob(relativePath, glob) {
+  // like .gitignore, a glob without a slash matches in every directory and a leading slash anchors it to localDir
+  if (glob.startsWith('/')) {
+    return minimatch(relativePath, glob.substring(1), { dot: true });
+  }
+  return minimatch(relativePath, glob, { dot: true, matchBase: true });
+}
+
+/*
+  Applies `params` rules to a file, given its path relative to localDir. Every rule whose glob
+  matches the path and whose `when` conditions (stage, region and `--param` values) hold is applied
+  in order, so a later rule overrides the params an earlier one set. An applied rule with
+  `OnlyForEnv` skips the whole file unless `--env` has that value.
+
+  Returns the resolved `params`, every matching rule with the reason it was not applied
+  (`mismatch`), and `skip` when OnlyForEnv excludes the file.
+*/
+function resolveParams(rules, relativePath, context) {
+  const result = { params: {}, rules: [], skip: null };
+  let onlyForEnv;
+
+  (rules || []).forEach((rule, index) => {
+    const glob = Object.keys(rule)[0];
+    if (!matchesGlob(relativePath, glob)) {
+      return;
+    }
+    const { when, OnlyForEnv, ...params } = rule[glob];
+    const mismatch = when ? conditionMismatch(when, context) : null;
+    result.rules.push({ index, glob, params, mismatch });
+    if (!mismatch) {
+      Object.assign(result.params, params);
+      onlyForEnv = OnlyForEnv || onlyForEnv;
+    }
+  });
+
+  if (onlyForEnv && onlyForEnv !== context.options.env) {
+    result.skip = `OnlyForEnv is ${onlyForEnv}, --env is ${context.options.env || 'not set'}`;
+  }
+  return result;
+}
+
+module.exports = resolveParams;
+module.exports.matchesGlob = matchesGlob;
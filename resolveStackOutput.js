@@ -1,20 +1,38 @@
 const getAwsOptions = require('./getAwsOptions')
 
-function resolveStackOutput(plugin, outputKey) {
+function resolveStackOutput(plugin, outputKey, otherStackName, region) {
   const provider = plugin.serverless.getProvider('aws');
   const options = getAwsOptions(provider)
-  const cfn = new provider.sdk.CloudFormation(options);
-  const stackName = provider.naming.getStackName();
+  const stackName = otherStackName || provider.naming.getStackName();
+  const stackRegion = region || options.region;
 
-  return cfn
-    .describeStacks({ StackName: stackName })
-    .promise()
-    .then(data => {
-      const output = data.Stacks[0].Outputs.find(
+  // outputs are read once per stack for the lifetime of the command, whatever the number
+  // of entries and phases referencing them
+  const cacheKey = `${stackRegion}/${stackName}`;
+  if (!plugin.stackOutputs.has(cacheKey)) {
+    const cfn = new provider.sdk.CloudFormation(Object.assign({}, options, { region: stackRegion }));
+    const outputs = cfn
+      .describeStacks({ StackName: stackName })
+      .promise()
+      .then(data => data.Stacks[0].Outputs || []);
+    // a failed lookup is retried by the next caller
+    outputs.catch(() => {
+      if (plugin.stackOutputs.get(cacheKey) === outputs) {
+        plugin.stackOutputs.delete(cacheKey);
+      }
+    });
+    plugin.stackOutputs.set(cacheKey, outputs);
+  }
+
+  return plugin.stackOutputs.get(cacheKey)
+    .then(outputs => {
+      const output = outputs.find(
         e => e.OutputKey === outputKey
       );
       if (!output) {
-        throw `Failed to resolve stack Output '${outputKey}' in stack '${stackName}'`;
+        const available = outputs.map(e => e.OutputKey).sort();
+        throw new plugin.serverless.classes.Error(`Failed to resolve stack Output '${outputKey}' in stack '${stackName}'${region ? ` (${region})` : ''}. ` +
+          `Available outputs: ${available.length > 0 ? available.join(', ') : 'none'}`);
       }
       return output.OutputValue;
     });
@@ -0,0 +1,51 @@
+const child_process = require('child_process');
+
+/*
+  Runs `command` in a shell without blocking, calling `onOutput(line)` for every line it
+  writes to stdout or stderr. Resolves when the command exits with 0, and rejects otherwise
+  with an error carrying the exit `code` (or `signal`) and the last lines of `output`.
+*/
+function runCommand(command, { cwd, env }, onOutput) {
+  return new Promise((resolve, reject) => {
+    const output = [];
+    const child = child_process.spawn(command, { cwd, env, shell: true, stdio: ['inherit', 'pipe', 'pipe'] });
+
+    const readLines = (stream) => {
+      let pending = '';
+      stream.setEncoding('utf8');
+      stream.on('data', (data) => {
+        const lines = (pending + data).split(/\r?\n/);
+        pending = lines.pop();
+        lines.forEach(addLine);
+      });
+      stream.on('end', () => {
+        if (pending) {
+          addLine(pending);
+        }
+      });
+    };
+    const addLine = (line) => {
+      output.push(line);
+      if (output.length > 20) {
+        output.shift();
+      }
+      if (onOutput) {
+        onOutput(line);
+      }
+    };
+    readLines(child.stdout);
+    readLines(child.stderr);
+
+    child.on('error', reject);
+    child.on('close', (code, signal) => {
+      if (code === 0) {
+        resolve();
+        return;
+      }
+      const reason = signal ? `was killed with ${signal}` : `exited with code ${code}`;
+      reject(Object.assign(new Error(reason), { code, signal, output }));
+    });
+  });
+}
+
+module.exports = runCommand;
@@ -0,0 +1,18 @@
+const assert = require('assert');
+const collapsePaths = require('../collapsePaths');
+
+describe('collapsePaths', () => {
+  it('keeps paths within maxPaths, sorted and without duplicates', () => {
+    assert.deepStrictEqual(collapsePaths(['/b.js', '/a.js', '/b.js'], 5), ['/a.js', '/b.js']);
+  });
+
+  it('collapses the deepest directories first', () => {
+    const paths = ['/index.html', '/assets/js/a.js', '/assets/js/b.js', '/assets/css/a.css', '/assets/css/b.css'];
+    assert.deepStrictEqual(collapsePaths(paths, 3), ['/assets/css/*', '/assets/js/*', '/index.html']);
+    assert.deepStrictEqual(collapsePaths(paths, 2), ['/assets/*', '/index.html']);
+  });
+
+  it('falls back to a single wildcard', () => {
+    assert.deepStrictEqual(collapsePaths(['/a.html', '/b.html', '/c/d.html'], 2), ['/*']);
+  });
+});
@@ -0,0 +1,80 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const diffBucket = require('../diffBucket');
+
+const md5 = content => `"${crypto.createHash('md5').update(content).digest('hex')}"`;
+
+describe('diffBucket', () => {
+  let dir;
+  const localFile = (name, content) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, content);
+    return { localFile: file, key: name, size: content.length };
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'diff-bucket-'));
+  });
+
+  afterEach(() => {
+    fs.readdirSync(dir).forEach(name => fs.unlinkSync(path.join(dir, name)));
+    fs.rmdirSync(dir);
+  });
+
+  it('compares local files with the ETags of the remote objects', () => {
+    const files = [localFile('b.html', 'new'), localFile('a.html', 'same'), localFile('c.html', 'added')];
+    const objects = [
+      { Key: 'a.html', ETag: md5('same'), Size: 4 },
+      { Key: 'b.html', ETag: md5('old'), Size: 3 },
+      { Key: 'd.html', ETag: md5('removed'), Size: 7 }
+    ];
+    return diffBucket(objects, { files, deleteRemoved: true }).then((diff) => {
+      assert.deepStrictEqual(diff.uploads.map(file => [file.action, file.key]), [['update', 'b.html'], ['create', 'c.html']]);
+      assert.deepStrictEqual(diff.unchanged.map(file => file.key), ['a.html']);
+      assert.deepStrictEqual(diff.deletes, [{ key: 'd.html', size: 7 }]);
+    });
+  });
+
+  it('keeps remote objects without deleteRemoved', () => {
+    const objects = [{ Key: 'd.html', ETag: md5('removed'), Size: 7 }];
+    return diffBucket(objects, { files: [], deleteRemoved: false }).then((diff) => {
+      assert.deepStrictEqual(diff, { uploads: [], deletes: [], unchanged: [] });
+    });
+  });
+
+  it('compares objects of another bucket by their ETag', () => {
+    const files = [{ key: 'a.js', eTag: md5('same'), size: 4 }, { key: 'b.js', eTag: md5('new'), size: 3 }];
+    const objects = [{ Key: 'a.js', ETag: md5('same'), Size: 4 }, { Key: 'b.js', ETag: md5('old'), Size: 3 }];
+    return diffBucket(objects, { files, deleteRemoved: false }).then((diff) => {
+      assert.deepStrictEqual(diff.uploads.map(file => file.key), ['b.js']);
+      assert.deepStrictEqual(diff.unchanged.map(file => file.key), ['a.js']);
+    });
+  });
+
+  it('compares copies of multipart objects with their source ETag', () => {
+    const files = [
+      { key: 'copied.zip', eTag: '"abc-2"', size: 10 },
+      { key: 'changed.zip', eTag: '"def-2"', size: 10 },
+      { key: 'resized.zip', eTag: '"ghi-2"', size: 10 }
+    ];
+    const objects = [
+      { Key: 'copied.zip', ETag: '"111"', Size: 10 },
+      { Key: 'changed.zip', ETag: '"222"', Size: 10 },
+      { Key: 'resized.zip', ETag: '"333"', Size: 12 }
+    ];
+    const sourceETags = { 'copied.zip': 'abc-2', 'changed.zip': 'old-2', 'resized.zip': 'ghi-2' };
+    const requested = [];
+    const getSourceETag = (key) => {
+      requested.push(key);
+      return Promise.resolve(sourceETags[key]);
+    };
+    return diffBucket(objects, { files, deleteRemoved: false, getSourceETag }).then((diff) => {
+      assert.deepStrictEqual(diff.unchanged.map(file => file.key), ['copied.zip']);
+      assert.deepStrictEqual(diff.uploads.map(file => file.key), ['changed.zip', 'resized.zip']);
+      assert.deepStrictEqual(requested.sort(), ['changed.zip', 'copied.zip']);
+    });
+  });
+});
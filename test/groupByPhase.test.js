@@ -0,0 +1,31 @@
+const assert = require('assert');
+const groupByPhase = require('../groupByPhase');
+
+const identity = item => item;
+
+describe('groupByPhase', () => {
+  it('puts each item in the phase of the first matching glob', () => {
+    const phases = groupByPhase(['a.js', 'b.css', 'index.html', 'c.js'], ['**/*.js', '**/*.css', '**/*.html'], identity);
+    assert.deepStrictEqual(phases, [['a.js', 'c.js'], ['b.css'], ['index.html']]);
+  });
+
+  it('gives catch-all globs only the items no other glob matches', () => {
+    const phases = groupByPhase(['a.js', 'index.html', 'img/logo.png'], ['**/*', '**/*.html'], identity);
+    assert.deepStrictEqual(phases, [['a.js', 'img/logo.png'], ['index.html']]);
+  });
+
+  it('adds unmatched items as a last phase and drops empty phases', () => {
+    const phases = groupByPhase(['a.js', 'index.html'], ['**/*.css', '**/*.js'], identity);
+    assert.deepStrictEqual(phases, [['a.js'], ['index.html']]);
+  });
+
+  it('matches globs like params globs, dot files included', () => {
+    const phases = groupByPhase(['index.html', 'docs/index.html', '.well-known/app.json', 'app.js'], ['**/*', '*.html', '/.well-known/*'], identity);
+    assert.deepStrictEqual(phases, [['app.js'], ['index.html', 'docs/index.html'], ['.well-known/app.json']]);
+  });
+
+  it('reads the path of each item with getPath', () => {
+    const items = [{ path: 'index.html' }, { path: 'a.js' }];
+    assert.deepStrictEqual(groupByPhase(items, ['**/*.js'], item => item.path), [[items[1]], [items[0]]]);
+  });
+});
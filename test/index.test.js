@@ -0,0 +1,269 @@
+const assert = require('assert');
+const ServerlessS3Sync = require('../index');
+
+const createPlugin = (s3Sync, options) => new ServerlessS3Sync({
+  service: {
+    custom: { s3Sync },
+    serverless: { config: { servicePath: process.cwd() } }
+  },
+  classes: { Error }
+}, options, { log: () => {}, progress: {} });
+
+describe('ServerlessS3Sync', () => {
+  describe('getInvalidationPaths', () => {
+    it('invalidates the encoded paths of the changed keys', () => {
+      const plugin = createPlugin([]);
+      const s = { cloudFront: { distributionId: 'E123' } };
+      assert.deepStrictEqual(plugin.getInvalidationPaths(s, ['index.html', 'blog/my post.html']), ['/blog/my%20post.html', '/index.html']);
+    });
+
+    it('strips the origin path and leaves out keys outside of it', () => {
+      const plugin = createPlugin([]);
+      const s = { cloudFront: { distributionId: 'E123', originPath: '/site' } };
+      assert.deepStrictEqual(plugin.getInvalidationPaths(s, ['site/index.html', 'site/docs/a.html', 'other/b.html']), ['/docs/a.html', '/index.html']);
+    });
+
+    it('collapses the paths to maxPaths', () => {
+      const plugin = createPlugin([]);
+      const s = { cloudFront: { distributionId: 'E123', maxPaths: 2 } };
+      assert.deepStrictEqual(plugin.getInvalidationPaths(s, ['index.html', 'docs/a.html', 'docs/b.html']), ['/docs/*', '/index.html']);
+    });
+  });
+
+  describe('checkDeletes', () => {
+    const plan = (deleteCount, objectCount) => ({
+      bucketName: 'site',
+      bucketPrefix: 'docs/',
+      localDir: 'dist',
+      fileCount: 10,
+      objectCount,
+      deletes: Array.from({ length: deleteCount }, (value, index) => ({ key: `docs/${index}.html` }))
+    });
+
+    it('refuses to sync an empty localDir', () => {
+      const plugin = createPlugin([]);
+      assert.strictEqual(plugin.checkDeletes({}, Object.assign(plan(0, 5), { fileCount: 0 })),
+        'No files to sync in dist, refusing to sync s3://site/docs/');
+    });
+
+    it('allows any deletion without maxDeletes', () => {
+      const plugin = createPlugin([]);
+      assert.strictEqual(plugin.checkDeletes({}, plan(100, 100)), null);
+    });
+
+    it('limits the number of deletions', () => {
+      const plugin = createPlugin([]);
+      assert.strictEqual(plugin.checkDeletes({ maxDeletes: 3 }, plan(3, 100)), null);
+      assert.strictEqual(plugin.checkDeletes({ maxDeletes: 3 }, plan(4, 100)),
+        '4 objects would be deleted from s3://site/docs/, more than maxDeletes (3)');
+    });
+
+    it('limits the percentage of deleted objects', () => {
+      const plugin = createPlugin([]);
+      assert.strictEqual(plugin.checkDeletes({ maxDeletes: '10%' }, plan(5, 50)), null);
+      assert.strictEqual(plugin.checkDeletes({ maxDeletes: '10%' }, plan(6, 50)),
+        '6 objects would be deleted from s3://site/docs/, more than maxDeletes (10% of 50 objects)');
+    });
+  });
+
+  describe('getCleanUrlPaths and getLocalPath', () => {
+    const plugin = createPlugin([]);
+
+    it('uploads pages without .html', () => {
+      const s = { cleanUrls: {} };
+      assert.deepStrictEqual(plugin.getCleanUrlPaths(s, 'about.html'), ['about']);
+      assert.deepStrictEqual(plugin.getCleanUrlPaths(s, 'docs/index.html'), ['docs/index.html']);
+      assert.deepStrictEqual(plugin.getCleanUrlPaths(s, 'app.js'), ['app.js']);
+      assert.deepStrictEqual(plugin.getCleanUrlPaths({}, 'about.html'), ['about.html']);
+    });
+
+    it('adds index copies of nested index pages', () => {
+      assert.deepStrictEqual(plugin.getCleanUrlPaths({ cleanUrls: { indexes: 'trailingSlash' } }, 'docs/index.html'), ['docs/index.html', 'docs/']);
+      assert.deepStrictEqual(plugin.getCleanUrlPaths({ cleanUrls: { indexes: 'noTrailingSlash' } }, 'docs/index.html'), ['docs/index.html', 'docs']);
+      assert.deepStrictEqual(plugin.getCleanUrlPaths({ cleanUrls: { indexes: 'trailingSlash' } }, 'index.html'), ['index.html']);
+    });
+
+    it('maps keys back to the pages in localDir', () => {
+      const s = { cleanUrls: { indexes: 'trailingSlash' } };
+      assert.strictEqual(plugin.getLocalPath(s, 'about'), 'about.html');
+      assert.strictEqual(plugin.getLocalPath(s, 'docs/'), 'docs/index.html');
+      assert.strictEqual(plugin.getLocalPath(s, 'app.js'), 'app.js');
+      assert.strictEqual(plugin.getLocalPath({}, 'about'), 'about');
+    });
+  });
+
+  describe('getSourcesBase and mapSourcesPath', () => {
+    const plugin = createPlugin([]);
+
+    it('lists globs from their leading segments without wildcards', () => {
+      assert.deepStrictEqual(plugin.getSourcesBase({ localDir: 'public' }), { dir: 'public', glob: null });
+      assert.deepStrictEqual(plugin.getSourcesBase({ glob: 'assets/**/*.png' }), { dir: 'assets', glob: '**/*.png' });
+      assert.deepStrictEqual(plugin.getSourcesBase({ glob: '*.txt' }), { dir: '.', glob: '*.txt' });
+      assert.deepStrictEqual(plugin.getSourcesBase({ glob: 'docs/guide.pdf' }), { dir: 'docs', glob: 'guide.pdf' });
+    });
+
+    it('leaves out the files a glob does not match', () => {
+      const source = { glob: 'assets/*.png' };
+      assert.strictEqual(plugin.mapSourcesPath(source, 'logo.png'), 'logo.png');
+      assert.strictEqual(plugin.mapSourcesPath(source, 'icons/logo.png'), null);
+      assert.strictEqual(plugin.mapSourcesPath(source, 'logo.svg'), null);
+    });
+
+    it('moves files under the prefix and renames them', () => {
+      const source = { localDir: 'build', prefix: '/static', rename: { from: '\\.min\\.js$', to: '.js' } };
+      assert.strictEqual(plugin.mapSourcesPath(source, 'js/app.min.js'), 'static/js/app.js');
+      assert.strictEqual(plugin.mapSourcesPath({ localDir: 'build' }, 'js/app.js'), 'js/app.js');
+    });
+  });
+
+  describe('selectBucketConfigs', () => {
+    const entries = [
+      { name: 'site', bucketName: 'site', localDir: 'dist' },
+      { name: 'docs', labels: ['static'], bucketName: 'docs', localDir: 'docs/build/' },
+      { labels: ['static', 'media'], bucketName: 'media', localDir: 'media' }
+    ];
+    const select = options => createPlugin({ buckets: entries }, options).getBucketConfigs().map(s => s.bucketName);
+
+    it('keeps every entry without --only and --skip', () => {
+      assert.deepStrictEqual(select({}), ['site', 'docs', 'media']);
+    });
+
+    it('matches entries by name, label or localDir', () => {
+      assert.deepStrictEqual(select({ only: 'docs' }), ['docs']);
+      assert.deepStrictEqual(select({ only: ['static'] }), ['docs', 'media']);
+      assert.deepStrictEqual(select({ only: ['./docs/build'] }), ['docs']);
+      assert.deepStrictEqual(select({ only: ['site', 'media'] }), ['site', 'media']);
+    });
+
+    it('leaves out skipped entries, also when selected with --only', () => {
+      assert.deepStrictEqual(select({ skip: 'media' }), ['site', 'docs']);
+      assert.deepStrictEqual(select({ only: 'static', skip: 'docs' }), ['media']);
+    });
+
+    it('rejects selectors matching no entry', () => {
+      assert.throws(() => select({ only: 'doc', skip: ['videos'] }), {
+        message: 'No bucket entry has the name, label or localDir doc, videos'
+      });
+    });
+  });
+
+  describe('getObjectTags', () => {
+    const plugin = createPlugin([]);
+    const s = {
+      objectTags: [
+        { '*.html': { classification: 'public' } },
+        { '/*.html': { entry: 'true' } },
+        { 'docs/**/*': { team: 'docs', classification: 'internal' } }
+      ]
+    };
+    const getTags = relativePath => plugin.getObjectTags(s, '/site', `/site/${relativePath}`);
+
+    it('merges the tags of every matching rule like params', () => {
+      assert.deepStrictEqual(getTags('index.html'), { classification: 'public', entry: 'true' });
+      assert.deepStrictEqual(getTags('app.js'), {});
+    });
+
+    it('matches globs without a slash in every directory', () => {
+      assert.deepStrictEqual(getTags('blog/post.html'), { classification: 'public' });
+      assert.deepStrictEqual(getTags('docs/about.html'), { classification: 'internal', team: 'docs' });
+    });
+  });
+
+  describe('glob options', () => {
+    const plugin = createPlugin([]);
+
+    it('match like params globs', () => {
+      const s = {
+        include: ['*.html', '/robots.txt', 'assets/**'],
+        exclude: ['drafts/*.html'],
+        compress: { gzip: ['*.js'], brotli: ['/*.css'] },
+        preserve: ['*.log'],
+        bucketPrefix: 'site'
+      };
+      const isIncluded = plugin.getFileFilter(s, '/dist');
+      assert.deepStrictEqual(['index.html', 'docs/index.html', 'drafts/post.html', 'robots.txt', 'docs/robots.txt', 'assets/.keep']
+        .filter(relativePath => isIncluded(`/dist/${relativePath}`)), ['index.html', 'docs/index.html', 'robots.txt', 'assets/.keep']);
+      assert.deepStrictEqual(plugin.getCompression(s, 'lib/app.js'), { gzip: true, brotli: false });
+      assert.deepStrictEqual(plugin.getCompression(s, 'app.css'), { gzip: false, brotli: true });
+      assert.strictEqual(plugin.isPreserved(s, 'site/logs/access.log'), true);
+      assert.strictEqual(plugin.isPreserved(s, 'site/logs/access.txt'), false);
+    });
+  });
+
+  describe('getReleaseConfig', () => {
+    const plugin = createPlugin([]);
+
+    it('keeps the releases of every bucket prefix apart by default', () => {
+      const root = plugin.getReleaseConfig({ releases: {} });
+      const docs = plugin.getReleaseConfig({ bucketPrefix: '/docs', releases: {} });
+      assert.deepStrictEqual(root, { prefix: 'releases/_root/', keep: 5, activate: 'copy', pointerKey: 'releases/_root/current.json' });
+      assert.strictEqual(docs.prefix, 'releases/docs/');
+      assert.ok(!docs.prefix.startsWith(root.prefix) && !root.prefix.startsWith(docs.prefix));
+    });
+
+    it('uses the configured prefix', () => {
+      assert.strictEqual(plugin.getReleaseConfig({ bucketPrefix: 'docs/', releases: { prefix: '/deploys' } }).prefix, 'deploys/');
+    });
+  });
+
+  describe('checkReleasePrefix', () => {
+    const entries = [
+      { name: 'site', bucketName: 'site', localDir: 'dist', releases: {} },
+      { name: 'docs', bucketNameKey: { key: 'DocsBucket', stack: 'docs' }, localDir: 'docs', releases: { prefix: 'releases/' } },
+      { name: 'blog', bucketName: 'site', bucketPrefix: 'blog', localDir: 'blog', releases: { prefix: 'releases/' } }
+    ];
+    const check = (s3Sync, options) => {
+      const plugin = createPlugin(s3Sync, options);
+      plugin.serverless.getProvider = () => {
+        throw new Error('stack outputs were read');
+      };
+      return plugin.checkReleasePrefix(entries[0], 'site');
+    };
+
+    it('rejects overlapping release prefixes in the same bucket, skipped entries included', () => {
+      return check(entries, { only: 'site', skip: 'docs' }).then(() => assert.fail('should have failed'), (err) => {
+        assert.strictEqual(err.message, 'Releases of s3://site/releases/_root/ overlap with the releases of another entry in s3://site/releases/, set a distinct releases.prefix on each entry');
+      });
+    });
+
+    it('reads no stack output for skipped entries', () => {
+      return check(entries.slice(0, 2), { skip: 'docs' });
+    });
+  });
+
+  describe('getSourceBucket', () => {
+    const resolveSource = (source) => {
+      const plugin = createPlugin([]);
+      const stacks = [];
+      plugin.serverless.service.service = 'app';
+      plugin.serverless.getProvider = () => ({
+        getRegion: () => 'us-east-1',
+        getCredentials: () => ({}),
+        naming: { getStackName: () => 'app-prod' },
+        sdk: {
+          CloudFormation: function CloudFormation() {
+            this.describeStacks = ({ StackName }) => {
+              stacks.push(StackName);
+              return { promise: () => Promise.resolve({ Stacks: [{ Outputs: [{ OutputKey: 'AssetsBucket', OutputValue: `${StackName}-assets` }] }] }) };
+            };
+          }
+        }
+      });
+      return plugin.getSourceBucket({ bucketNameKey: 'AssetsBucket', source }).then(bucket => ({ bucket, stacks }));
+    };
+
+    it('reads the output of the stack of the source stage', () => {
+      return resolveSource({ stage: 'dev', bucketPrefix: 'assets' }).then(({ bucket, stacks }) => {
+        assert.deepStrictEqual(bucket, { bucketName: 'app-dev-assets', prefix: 'assets/' });
+        assert.deepStrictEqual(stacks, ['app-dev']);
+      });
+    });
+
+    it('prefers the stack named by the source bucketNameKey', () => {
+      return resolveSource({ stage: 'dev', bucketNameKey: { key: 'AssetsBucket', stack: 'shared-assets' } }).then(({ bucket, stacks }) => {
+        assert.strictEqual(bucket.bucketName, 'shared-assets-assets');
+        assert.deepStrictEqual(stacks, ['shared-assets']);
+      });
+    });
+  });
+});
@@ -0,0 +1,33 @@
+const assert = require('assert');
+const metadataDiffers = require('../metadataDiffers');
+
+describe('metadataDiffers', () => {
+  it('compares the params HEAD returns', () => {
+    const head = { CacheControl: 'no-cache', ContentType: 'text/html', Metadata: {} };
+    assert.strictEqual(metadataDiffers({ CacheControl: 'no-cache', ContentType: 'text/html' }, head), false);
+    assert.strictEqual(metadataDiffers({ CacheControl: 'max-age=60' }, head), true);
+  });
+
+  it('ignores ACL and compares metadata keys case-insensitively', () => {
+    const head = { Metadata: { 'x-build': '42' } };
+    assert.strictEqual(metadataDiffers({ ACL: 'public-read', Metadata: { 'X-Build': 42 } }, head), false);
+    assert.strictEqual(metadataDiffers({ Metadata: { 'x-build': '43' } }, head), true);
+    assert.strictEqual(metadataDiffers({ Metadata: {} }, head), true);
+  });
+
+  it('defaults StorageClass to STANDARD and compares Expires as dates', () => {
+    const head = { Expires: new Date('2030-01-01T00:00:00Z') };
+    assert.strictEqual(metadataDiffers({ StorageClass: 'STANDARD', Expires: '2030-01-01T00:00:00.000Z' }, head), false);
+    assert.strictEqual(metadataDiffers({ StorageClass: 'STANDARD_IA' }, head), true);
+  });
+
+  it('treats params HEAD cannot return as different', () => {
+    assert.strictEqual(metadataDiffers({ Tagging: 'env=prod' }, {}), true);
+  });
+
+  it('detects headers a copy would drop', () => {
+    assert.strictEqual(metadataDiffers({}, { ContentEncoding: 'gzip' }), true);
+    assert.strictEqual(metadataDiffers({}, { Metadata: { 'x-build': '42' } }), true);
+    assert.strictEqual(metadataDiffers({}, { ContentType: 'text/html', Metadata: {} }), false);
+  });
+});
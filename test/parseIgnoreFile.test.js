@@ -0,0 +1,43 @@
+const assert = require('assert');
+const parseIgnoreFile = require('../parseIgnoreFile');
+
+describe('parseIgnoreFile', () => {
+  it('ignores comments and blank lines', () => {
+    const isIgnored = parseIgnoreFile('# maps\n\n*.map\n');
+    assert.strictEqual(isIgnored('app.js.map'), true);
+    assert.strictEqual(isIgnored('app.js'), false);
+  });
+
+  it('matches patterns without a slash in every directory', () => {
+    const isIgnored = parseIgnoreFile('.DS_Store\n');
+    assert.strictEqual(isIgnored('.DS_Store'), true);
+    assert.strictEqual(isIgnored('img/icons/.DS_Store'), true);
+  });
+
+  it('anchors patterns with a leading or inner slash', () => {
+    const isIgnored = parseIgnoreFile('/drafts\nassets/tmp\n');
+    assert.strictEqual(isIgnored('drafts/post.html'), true);
+    assert.strictEqual(isIgnored('blog/drafts/post.html'), false);
+    assert.strictEqual(isIgnored('assets/tmp/a.js'), true);
+    assert.strictEqual(isIgnored('lib/assets/tmp/a.js'), false);
+  });
+
+  it('only matches directories with a trailing slash', () => {
+    const isIgnored = parseIgnoreFile('cache/\n');
+    assert.strictEqual(isIgnored('cache/a.json'), true);
+    assert.strictEqual(isIgnored('cache'), false);
+  });
+
+  it('lets the last matching rule win, negations included', () => {
+    const isIgnored = parseIgnoreFile('*.html\n!index.html\n');
+    assert.strictEqual(isIgnored('about.html'), true);
+    assert.strictEqual(isIgnored('index.html'), false);
+    assert.strictEqual(parseIgnoreFile('!index.html\n*.html\n')('index.html'), true);
+  });
+
+  it('treats escaped # and ! literally', () => {
+    const isIgnored = parseIgnoreFile('\\#notes.txt\n\\!important.txt\n');
+    assert.strictEqual(isIgnored('#notes.txt'), true);
+    assert.strictEqual(isIgnored('!important.txt'), true);
+  });
+});
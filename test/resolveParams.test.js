@@ -0,0 +1,67 @@
+const assert = require('assert');
+const resolveParams = require('../resolveParams');
+
+const context = { stage: 'dev', region: 'us-east-1', params: {}, options: {} };
+
+describe('resolveParams', () => {
+  it('applies every matching rule in order, the last one winning', () => {
+    const rules = [
+      { '**/*': { CacheControl: 'max-age=300', ContentLanguage: 'en' } },
+      { '**/*.html': { CacheControl: 'no-cache' } },
+      { '**/*.css': { CacheControl: 'max-age=31536000' } }
+    ];
+    const result = resolveParams(rules, 'blog/index.html', context);
+    assert.deepStrictEqual(result.params, { CacheControl: 'no-cache', ContentLanguage: 'en' });
+    assert.deepStrictEqual(result.rules.map(rule => rule.index), [0, 1]);
+    assert.strictEqual(result.skip, null);
+  });
+
+  it('matches globs without a slash in every directory', () => {
+    const rules = [{ '*.js': { CacheControl: 'max-age=60' } }];
+    assert.deepStrictEqual(resolveParams(rules, 'app.js', context).params, { CacheControl: 'max-age=60' });
+    assert.deepStrictEqual(resolveParams(rules, 'lib/vendor/app.js', context).params, { CacheControl: 'max-age=60' });
+  });
+
+  it('anchors globs with a leading slash to localDir', () => {
+    const rules = [{ '/*.js': { CacheControl: 'max-age=60' } }];
+    assert.deepStrictEqual(resolveParams(rules, 'app.js', context).params, { CacheControl: 'max-age=60' });
+    assert.deepStrictEqual(resolveParams(rules, 'lib/app.js', context).params, {});
+  });
+
+  it('matches globs with a slash from localDir, dot files included', () => {
+    const rules = [{ 'docs/*': { CacheControl: 'no-cache' } }];
+    assert.deepStrictEqual(resolveParams(rules, 'docs/.nojekyll', context).params, { CacheControl: 'no-cache' });
+    assert.deepStrictEqual(resolveParams(rules, 'site/docs/intro.html', context).params, {});
+  });
+
+  it('only applies rules whose when conditions hold', () => {
+    const rules = [
+      { '*.html': { CacheControl: 'no-cache' } },
+      { '*.html': { CacheControl: 'max-age=60', when: { stage: ['staging', 'prod'] } } },
+      { '*.html': { ContentLanguage: 'en', when: { region: 'us-east-1', params: { cdn: true } } } }
+    ];
+    const result = resolveParams(rules, 'index.html', context);
+    assert.deepStrictEqual(result.params, { CacheControl: 'no-cache' });
+    assert.deepStrictEqual(result.rules.map(rule => rule.mismatch), [
+      null,
+      'stage is dev, not staging or prod',
+      '--param cdn is not set, not true'
+    ]);
+
+    const withParam = resolveParams(rules, 'index.html', Object.assign({}, context, { stage: 'prod', params: { cdn: 'true' } }));
+    assert.deepStrictEqual(withParam.params, { CacheControl: 'max-age=60', ContentLanguage: 'en' });
+  });
+
+  it('skips files whose OnlyForEnv does not match --env', () => {
+    const rules = [{ 'robots.txt': { OnlyForEnv: 'production', CacheControl: 'no-cache' } }];
+    assert.strictEqual(resolveParams(rules, 'robots.txt', context).skip, 'OnlyForEnv is production, --env is not set');
+    const production = resolveParams(rules, 'robots.txt', Object.assign({}, context, { options: { env: 'production' } }));
+    assert.strictEqual(production.skip, null);
+    assert.deepStrictEqual(production.params, { CacheControl: 'no-cache' });
+  });
+
+  it('ignores the OnlyForEnv of rules that did not apply', () => {
+    const rules = [{ 'robots.txt': { OnlyForEnv: 'production', when: { stage: 'prod' } } }];
+    assert.strictEqual(resolveParams(rules, 'robots.txt', context).skip, null);
+  });
+});
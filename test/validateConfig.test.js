@@ -0,0 +1,74 @@
+const assert = require('assert');
+const validateConfig = require('../validateConfig');
+const s3SyncSchema = require('../configSchema');
+
+const KEYWORDS = ['type', 'anyOf', 'allOf', 'enum', 'minimum', 'maximum', 'pattern', 'properties', 'required', 'minProperties', 'additionalProperties', 'items'];
+
+const collectKeywords = (schema, keywords = new Set()) => {
+  if (Array.isArray(schema)) {
+    schema.forEach(branch => collectKeywords(branch, keywords));
+  } else if (schema && typeof(schema) == 'object') {
+    Object.keys(schema).forEach((keyword) => {
+      keywords.add(keyword);
+      if (keyword === 'properties') {
+        Object.keys(schema.properties).forEach(name => collectKeywords(schema.properties[name], keywords));
+      } else if (keyword !== 'enum' && keyword !== 'required') {
+        collectKeywords(schema[keyword], keywords);
+      }
+    });
+  }
+  return keywords;
+};
+
+const validate = config => validateConfig(config, s3SyncSchema, 'custom.s3Sync');
+
+describe('validateConfig', () => {
+  it('supports every keyword used by the config schema', () => {
+    const unsupported = Array.from(collectKeywords(s3SyncSchema)).filter(keyword => !KEYWORDS.includes(keyword));
+    assert.deepStrictEqual(unsupported, []);
+  });
+
+  it('accepts valid configurations', () => {
+    assert.deepStrictEqual(validate([{ bucketName: 'site', localDir: 'dist' }]), []);
+    assert.deepStrictEqual(validate({
+      endpoint: 'http://localhost:4569',
+      buckets: [{
+        bucketNameKey: { key: 'Bucket', region: 'eu-west-1' },
+        localDir: 'dist',
+        params: [{ '*.html': { CacheControl: 'no-cache', when: { stage: ['prod'], params: { cdn: true } } } }],
+        compress: { gzip: ['**/*.js'], level: 9, brotliQuality: 11 },
+        maxDeletes: '10%'
+      }]
+    }), []);
+  });
+
+  it('reports unknown properties and wrong types with their path', () => {
+    assert.deepStrictEqual(validate([{ bucketName: 'site', localDir: 'dist', bucketPrefx: 'a/' }, { bucketName: 'site', localDir: 'dist', params: {} }]), [
+      "custom.s3Sync[0]: unknown property 'bucketPrefx'",
+      'custom.s3Sync[1].params: must be array, got object'
+    ]);
+  });
+
+  it('reports the alternatives of required properties', () => {
+    assert.deepStrictEqual(validate([{ localDir: 'dist' }]), [
+      "custom.s3Sync[0]: one of 'bucketName', 'bucketNameKey' is required"
+    ]);
+  });
+
+  it('checks minimum and maximum', () => {
+    assert.deepStrictEqual(validate([{ bucketName: 'site', localDir: 'dist', compress: { level: 12, brotliQuality: 12 } }]), [
+      'custom.s3Sync[0].compress.level: must be <= 9',
+      'custom.s3Sync[0].compress.brotliQuality: must be <= 11'
+    ]);
+    assert.deepStrictEqual(validate([{ bucketName: 'site', localDir: 'dist', retries: -1 }]), [
+      'custom.s3Sync[0].retries: must be >= 0'
+    ]);
+  });
+
+  it('checks enums and patterns', () => {
+    assert.deepStrictEqual(validate([{ bucketName: 'site', localDir: 'dist', maxDeletes: 'ten', cleanUrls: { indexes: 'none' } }]), [
+      'custom.s3Sync[0].maxDeletes: must match ^\\d+(\\.\\d+)?%$',
+      "custom.s3Sync[0].cleanUrls.indexes: must be one of 'trailingSlash', 'noTrailingSlash'"
+    ]);
+  });
+});
@@ -0,0 +1,42 @@
+const assert = require('assert');
+const withRetry = require('../withRetry');
+
+const failing = (errors, result) => {
+  const request = () => {
+    request.calls += 1;
+    return errors.length ? Promise.reject(errors.shift()) : Promise.resolve(result);
+  };
+  request.calls = 0;
+  return request;
+};
+
+describe('withRetry', () => {
+  it('retries transient errors with an exponential delay', () => {
+    const request = failing([{ code: 'SlowDown' }, { statusCode: 503 }], 'done');
+    const retries = [];
+    return withRetry(request, { retries: 3, retryDelay: 1 }, (err, retry, delay) => retries.push([retry, delay]))
+      .then((result) => {
+        assert.strictEqual(result, 'done');
+        assert.strictEqual(request.calls, 3);
+        assert.deepStrictEqual(retries, [[1, 1], [2, 2]]);
+      });
+  });
+
+  it('does not retry other errors', () => {
+    const request = failing([{ code: 'AccessDenied', statusCode: 403 }], 'done');
+    return withRetry(request, { retries: 3, retryDelay: 1 })
+      .then(() => assert.fail('should have failed'), (err) => {
+        assert.strictEqual(err.code, 'AccessDenied');
+        assert.strictEqual(request.calls, 1);
+      });
+  });
+
+  it('gives up after the last retry', () => {
+    const request = failing([{ statusCode: 429 }, { statusCode: 429 }, { statusCode: 500 }], 'done');
+    return withRetry(request, { retries: 2, retryDelay: 1 })
+      .then(() => assert.fail('should have failed'), (err) => {
+        assert.strictEqual(err.statusCode, 500);
+        assert.strictEqual(request.calls, 3);
+      });
+  });
+});
@@ -0,0 +1,104 @@
+/*
+  A small JSON schema walker covering the keywords used in configSchema.js, so that
+  invalid configuration is reported with the exact path even when the Serverless
+  Framework only warns about it (configValidationMode: warn).
+*/
+function typeOf(value) {
+  if (Number.isInteger(value)) {
+    return 'integer';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (value === null) {
+    return 'null';
+  }
+  return typeof(value);
+}
+
+function validateConfig(value, schema, path) {
+  const errors = [];
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    const type = typeOf(value);
+    if (!types.includes(type) && !(type === 'integer' && types.includes('number'))) {
+      return [`${path}: must be ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+  }
+
+  if (schema.anyOf) {
+    const branchErrors = schema.anyOf.map(branch => validateConfig(value, branch, path));
+    if (branchErrors.every(branch => branch.length > 0)) {
+      if (schema.anyOf.every(branch => Object.keys(branch).join() === 'required')) {
+        const names = schema.anyOf.map(branch => branch.required.map(name => `'${name}'`).join(' and '));
+        errors.push(`${path}: one of ${names.join(', ')} is required`);
+      } else {
+        // report the closest branch: one of the right type that failed with the fewest errors
+        const candidates = branchErrors.filter((branch, index) => {
+          const type = schema.anyOf[index].type;
+          return !type || [].concat(type).includes(typeOf(value));
+        });
+        if (candidates.length > 0) {
+          errors.push(...candidates.reduce((a, b) => (b.length < a.length ? b : a)));
+        } else {
+          const types = schema.anyOf.map(branch => [].concat(branch.type || []).join(' or '));
+          errors.push(`${path}: must be ${types.join(' or ')}, got ${typeOf(value)}`);
+        }
+      }
+    }
+  }
+
+  if (schema.allOf) {
+    schema.allOf.forEach((branch) => {
+      errors.push(...validateConfig(value, branch, path));
+    });
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.map(item => `'${item}'`).join(', ')}`);
+  }
+
+  if (typeof(schema.minimum) == 'number' && typeof(value) == 'number' && value < schema.minimum) {
+    errors.push(`${path}: must be >= ${schema.minimum}`);
+  }
+
+  if (typeof(schema.maximum) == 'number' && typeof(value) == 'number' && value > schema.maximum) {
+    errors.push(`${path}: must be <= ${schema.maximum}`);
+  }
+
+  if (schema.pattern && typeof(value) == 'string' && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${path}: must match ${schema.pattern}`);
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach((name) => {
+      if (!value.hasOwnProperty(name)) {
+        errors.push(`${path}: missing required property '${name}'`);
+      }
+    });
+    if (schema.minProperties && Object.keys(value).length < schema.minProperties) {
+      errors.push(`${path}: must have at least ${schema.minProperties} propert${schema.minProperties === 1 ? 'y' : 'ies'}`);
+    }
+    Object.keys(value).forEach((name) => {
+      if (properties.hasOwnProperty(name)) {
+        errors.push(...validateConfig(value[name], properties[name], `${path}.${name}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}: unknown property '${name}'`);
+      } else if (typeof(schema.additionalProperties) == 'object') {
+        errors.push(...validateConfig(value[name], schema.additionalProperties, `${path}['${name}']`));
+      }
+    });
+  }
+
+  if (typeOf(value) === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateConfig(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+module.exports = validateConfig;
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+
+/*
+  Watches `dir` and every directory below it, calling `onChange(relativePath)` with the path
+  of each changed, added or removed file or directory, relative to `dir`. fs.watch cannot watch
+  a tree on Linux before Node 20, so every directory gets a watcher of its own and directories
+  created later are watched as they appear. Symlinked directories are not followed.
+
+  Returns an object whose `close()` stops watching.
+*/
+function watchTree(dir, onChange) {
+  const watchers = new Map();
+
+  const unwatch = (watchedDir) => {
+    watchers.forEach((watcher, watched) => {
+      if (watched === watchedDir || watched.startsWith(`${watchedDir}${path.sep}`)) {
+        watcher.close();
+        watchers.delete(watched);
+      }
+    });
+  };
+
+  const watch = (watchedDir) => {
+    if (watchers.has(watchedDir)) {
+      return;
+    }
+    let watcher;
+    let entries;
+    try {
+      watcher = fs.watch(watchedDir, (eventType, filename) => {
+        if (!filename) {
+          return;
+        }
+        // a removed or renamed directory reports itself, its parent reports the change
+        if (!fs.existsSync(watchedDir)) {
+          unwatch(watchedDir);
+          return;
+        }
+        const changed = path.join(watchedDir, filename.toString());
+        onChange(path.relative(dir, changed));
+        let stat = null;
+        try {
+          stat = fs.lstatSync(changed);
+        } catch (e) {
+          unwatch(changed);
+          return;
+        }
+        if (stat.isDirectory()) {
+          watch(changed);
+        }
+      });
+      entries = fs.readdirSync(watchedDir, { withFileTypes: true });
+    } catch (e) {
+      // removed before it could be watched, its parent reports the removal
+      if (watcher) {
+        watcher.close();
+      }
+      return;
+    }
+    watcher.on('error', () => unwatch(watchedDir));
+    watchers.set(watchedDir, watcher);
+    entries
+      .filter(entry => entry.isDirectory())
+      .forEach(entry => watch(path.join(watchedDir, entry.name)));
+  };
+
+  watch(dir);
+  return {
+    close: () => unwatch(dir)
+  };
+}
+
+module.exports = watchTree;
@@ -0,0 +1,51 @@
+const BbPromise = require('bluebird');
+
+// throttled requests and network failures, sending the same request again may succeed
+const TRANSIENT_CODES = [
+  'Throttling',
+  'ThrottlingException',
+  'RequestThrottled',
+  'TooManyRequestsException',
+  'SlowDown',
+  'RequestLimitExceeded',
+  'RequestTimeout',
+  'RequestTimeoutException',
+  'InternalError',
+  'ServiceUnavailable',
+  'TimeoutError',
+  'NetworkingError',
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN'
+];
+
+function isTransientError(err) {
+  if (!err) {
+    return false;
+  }
+  return TRANSIENT_CODES.includes(err.code) || err.statusCode === 429 || err.statusCode >= 500;
+}
+
+/*
+  Runs `request` (a function returning a promise) until it succeeds, retrying transient
+  errors up to `retries` times. Retry n waits `retryDelay * 2^(n-1)` milliseconds, and
+  `onRetry(err, n, delay)` is called before waiting.
+*/
+function withRetry(request, { retries, retryDelay }, onRetry) {
+  const attempt = (retry) => BbPromise.try(request)
+    .catch((err) => {
+      if (retry >= retries || !isTransientError(err)) {
+        throw err;
+      }
+      const delay = retryDelay * Math.pow(2, retry);
+      if (onRetry) {
+        onRetry(err, retry + 1, delay);
+      }
+      return BbPromise.delay(delay).then(() => attempt(retry + 1));
+    });
+  return attempt(0);
+}
+
+module.exports = withRetry;